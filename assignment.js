@@ -0,0 +1,363 @@
+// Finance Teacher - Assignment packs
+// A pack is a small JSON file a teacher hands out: the companies to open, the view to open
+// them in, which cards to show (with the teacher's own labels) and the questions to answer.
+// AssignmentEditor builds and downloads a pack; AssignmentView shows an opened pack's
+// instructions and puts each question next to the chart it is about.
+//
+// {
+//   "format": "finance-teacher-assignment",
+//   "version": 1,
+//   "title": "Streaming giants",
+//   "instructions": "Compare the two companies, then answer the questions.",
+//   "tickers": ["NFLX", "META"],
+//   "viewOptions": { "priceRange": "5Y", "periods": 8, "reporting": "annual" },
+//   "cards": ["price", "fundamentals", "pe"],
+//   "labels": { "pe": "Which company do investors expect to grow faster?" },
+//   "prompts": [{ "card": "pe", "text": "Which company has the higher P/E today?" }, { "card": null, "text": "..." }]
+// }
+//
+// Everything but format and tickers is optional. A prompt with no card is a general question.
+
+const ASSIGNMENT_FORMAT = 'finance-teacher-assignment';
+const ASSIGNMENT_VERSION = 1;
+const ASSIGNMENT_TICKER_PATTERN = /^[A-Z0-9.-]{1,10}$/;
+
+// Checks a pack from a file or link and fills in the defaults; throws INVALID_ASSIGNMENT
+function parseAssignmentPack(data) {
+    if (!data || data.format !== ASSIGNMENT_FORMAT || data.version > ASSIGNMENT_VERSION) {
+        throw new Error('INVALID_ASSIGNMENT');
+    }
+
+    const tickers = Array.isArray(data.tickers)
+        ? [...new Set(data.tickers.map(ticker => String(ticker).trim().toUpperCase()))]
+        : [];
+    if (tickers.length === 0 || tickers.length > MAX_COMPARE_TICKERS || !tickers.every(ticker => ASSIGNMENT_TICKER_PATTERN.test(ticker))) {
+        throw new Error('INVALID_ASSIGNMENT');
+    }
+
+    const cardIds = METRIC_CARDS.map(card => card.id);
+    const view = data.viewOptions || {};
+    const viewOptions = {};
+    if (PRICE_RANGES[view.priceRange]) {
+        viewOptions.priceRange = view.priceRange;
+    }
+    if (PERIOD_OPTIONS.includes(view.periods)) {
+        viewOptions.periods = view.periods;
+    }
+    if (REPORTING_VIEWS.includes(view.reporting)) {
+        viewOptions.reporting = view.reporting;
+    }
+
+    const cards = Array.isArray(data.cards) ? data.cards.filter(id => cardIds.includes(id)) : [];
+    const labels = {};
+    Object.entries(data.labels || {}).forEach(([id, label]) => {
+        if (cardIds.includes(id) && typeof label === 'string' && label.trim()) {
+            labels[id] = label.trim();
+        }
+    });
+
+    const prompts = (Array.isArray(data.prompts) ? data.prompts : [])
+        .map(prompt => typeof prompt === 'string' ? { card: null, text: prompt } : prompt)
+        .filter(prompt => prompt && typeof prompt.text === 'string' && prompt.text.trim())
+        .map(prompt => ({
+            card: cardIds.includes(prompt.card) ? prompt.card : null,
+            text: prompt.text.trim()
+        }));
+
+    return {
+        format: ASSIGNMENT_FORMAT,
+        version: ASSIGNMENT_VERSION,
+        title: typeof data.title === 'string' && data.title.trim() ? data.title.trim() : t('assignment.defaultTitle'),
+        instructions: typeof data.instructions === 'string' ? data.instructions.trim() : '',
+        tickers,
+        viewOptions,
+        // No list means every card
+        cards: cards.length > 0 ? cards : cardIds,
+        labels,
+        prompts
+    };
+}
+
+async function fetchAssignmentPack(url) {
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (error) {
+        throw new Error('NETWORK_ERROR');
+    }
+    if (!response.ok) {
+        throw new Error('ASSIGNMENT_NOT_FOUND');
+    }
+
+    try {
+        return parseAssignmentPack(await response.json());
+    } catch (error) {
+        throw new Error('INVALID_ASSIGNMENT');
+    }
+}
+
+async function readAssignmentFile(file) {
+    try {
+        return parseAssignmentPack(JSON.parse(await file.text()));
+    } catch (error) {
+        throw new Error('INVALID_ASSIGNMENT');
+    }
+}
+
+class AssignmentEditor {
+    // cards: [{ id, title, label }]; onPreview(pack) opens the pack the way a student sees it
+    constructor({ container, cards, onPreview }) {
+        this.container = container;
+        this.cards = cards;
+        this.onPreview = onPreview;
+
+        this.render();
+        this.bindEvents();
+    }
+
+    render() {
+        const option = (value, text) => `<option value="${value}">${text}</option>`;
+        const cardOptions = this.cards.map(card => option(card.id, card.title)).join('');
+
+        this.container.innerHTML = `
+            <div class="chart-header">
+                <h2>${t('assignment.editorHeading')}</h2>
+                <p class="educational-label">${t('assignment.editorIntro')}</p>
+            </div>
+            <form class="assignment-form" id="assignmentForm">
+                <label>${t('assignment.title')} <input type="text" id="assignmentTitle" placeholder="${t('assignment.titlePlaceholder')}"></label>
+                <label>${t('assignment.instructions')} <textarea id="assignmentInstructions" rows="2" placeholder="${t('assignment.instructionsPlaceholder')}"></textarea></label>
+                <label>${t('assignment.companies')} <input type="text" id="assignmentTickers" placeholder="NFLX, META"></label>
+                <div class="assignment-view-options">
+                    <label>${t('assignment.priceRange')} <select id="assignmentRange">
+                        ${Object.entries(PRICE_RANGES).map(([value, range]) => option(value, range.label)).join('')}
+                    </select></label>
+                    <label>${t('assignment.periods')} <select id="assignmentPeriods">
+                        ${PERIOD_OPTIONS.map(count => option(count, count)).join('')}
+                    </select></label>
+                    <label>${t('assignment.reporting')} <select id="assignmentReporting">
+                        ${REPORTING_VIEWS.map(view => option(view, REPORTING_VIEW_LABELS[view])).join('')}
+                    </select></label>
+                </div>
+                <fieldset class="assignment-cards">
+                    <legend>${t('assignment.charts')}</legend>
+                    ${this.cards.map(card => `
+                        <div class="assignment-card">
+                            <label><input type="checkbox" data-card="${card.id}" checked> ${card.title}</label>
+                            <input type="text" data-label="${card.id}" placeholder="${t('assignment.defaultLabel', { label: card.label.replace(/"/g, '&quot;') })}">
+                        </div>
+                    `).join('')}
+                </fieldset>
+                <fieldset class="assignment-prompts">
+                    <legend>${t('assignment.questions')}</legend>
+                    <ol id="assignmentPromptList"></ol>
+                    <button type="button" id="addAssignmentPrompt">${t('assignment.addQuestion')}</button>
+                </fieldset>
+                <p class="error-message hidden" id="assignmentEditorError"></p>
+                <div class="assignment-actions">
+                    <button type="button" id="previewAssignment">${t('assignment.preview')}</button>
+                    <button type="button" id="downloadAssignment">${t('assignment.download')}</button>
+                    <button type="button" id="closeAssignmentEditor">${t('assignment.close')}</button>
+                </div>
+            </form>
+        `;
+
+        // Kept for new question rows
+        this.cardOptions = cardOptions;
+        this.addPromptRow();
+    }
+
+    bindEvents() {
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+
+            if (button.id === 'addAssignmentPrompt') {
+                this.addPromptRow();
+            } else if (button.dataset.removePrompt !== undefined) {
+                button.closest('li').remove();
+            } else if (button.id === 'previewAssignment') {
+                const pack = this.readPack();
+                if (pack) this.onPreview(pack);
+            } else if (button.id === 'downloadAssignment') {
+                this.download();
+            } else if (button.id === 'closeAssignmentEditor') {
+                this.close();
+            }
+        });
+    }
+
+    // Starts from what is on screen, so a teacher can set up the view first and then write the questions
+    open({ tickers, viewOptions }) {
+        const form = this.container;
+        if (tickers.length > 0) {
+            form.querySelector('#assignmentTickers').value = tickers.join(', ');
+        }
+        form.querySelector('#assignmentRange').value = viewOptions.priceRange;
+        form.querySelector('#assignmentPeriods').value = viewOptions.periods;
+        form.querySelector('#assignmentReporting').value = viewOptions.reporting;
+
+        this.showError('');
+        this.container.classList.remove('hidden');
+        this.container.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    close() {
+        this.container.classList.add('hidden');
+    }
+
+    addPromptRow() {
+        const item = document.createElement('li');
+        item.className = 'assignment-prompt';
+        item.innerHTML = `
+            <select data-prompt-card><option value="">${t('assignment.generalQuestion')}</option>${this.cardOptions}</select>
+            <textarea data-prompt-text rows="2" placeholder="${t('assignment.questionPlaceholder')}"></textarea>
+            <button type="button" data-remove-prompt aria-label="${t('assignment.removeQuestion')}">×</button>
+        `;
+        this.container.querySelector('#assignmentPromptList').appendChild(item);
+    }
+
+    // The pack as a student would open it, or null after showing what's wrong
+    readPack() {
+        const form = this.container;
+        const labels = {};
+        form.querySelectorAll('input[data-label]').forEach(input => {
+            labels[input.dataset.label] = input.value;
+        });
+
+        const data = {
+            format: ASSIGNMENT_FORMAT,
+            version: ASSIGNMENT_VERSION,
+            title: form.querySelector('#assignmentTitle').value,
+            instructions: form.querySelector('#assignmentInstructions').value,
+            tickers: form.querySelector('#assignmentTickers').value.split(/[\s,]+/).filter(Boolean),
+            viewOptions: {
+                priceRange: form.querySelector('#assignmentRange').value,
+                periods: parseInt(form.querySelector('#assignmentPeriods').value, 10),
+                reporting: form.querySelector('#assignmentReporting').value
+            },
+            cards: [...form.querySelectorAll('input[data-card]:checked')].map(input => input.dataset.card),
+            labels,
+            prompts: [...form.querySelectorAll('.assignment-prompt')].map(item => ({
+                card: item.querySelector('[data-prompt-card]').value || null,
+                text: item.querySelector('[data-prompt-text]').value
+            }))
+        };
+
+        if (data.cards.length === 0) {
+            this.showError(t('assignment.noCharts'));
+            return null;
+        }
+        try {
+            const pack = parseAssignmentPack(data);
+            this.showError('');
+            return pack;
+        } catch (error) {
+            this.showError(t('assignment.invalidTickers', { max: MAX_COMPARE_TICKERS }));
+            return null;
+        }
+    }
+
+    download() {
+        const pack = this.readPack();
+        if (!pack) return;
+
+        const name = pack.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'assignment';
+        downloadFile(`${name}.json`, JSON.stringify(pack, null, 2), 'application/json');
+    }
+
+    showError(message) {
+        const error = this.container.querySelector('#assignmentEditorError');
+        error.textContent = message;
+        error.classList.toggle('hidden', !message);
+    }
+}
+
+class AssignmentView {
+    constructor({ container, onLeave }) {
+        this.container = container;
+        this.onLeave = onLeave;
+        this.pack = null;
+
+        this.container.addEventListener('click', (e) => {
+            if (e.target.closest('#leaveAssignment')) {
+                this.onLeave();
+            }
+        });
+    }
+
+    show(pack) {
+        this.pack = pack;
+        this.container.innerHTML = `
+            <div class="chart-header">
+                <h2></h2>
+                <p class="educational-label assignment-instructions"></p>
+            </div>
+            <ol class="assignment-questions"></ol>
+            <div class="assignment-actions">
+                <button type="button" id="leaveAssignment">${t('assignment.leave')}</button>
+            </div>
+        `;
+
+        // Pack text comes from a file anyone could write, so it only ever goes in as text
+        this.container.querySelector('h2').textContent = t('assignment.heading', { title: pack.title });
+        this.container.querySelector('.assignment-instructions').textContent = pack.instructions;
+
+        const cardQuestions = pack.prompts.filter(prompt => prompt.card).length;
+        const list = this.container.querySelector('.assignment-questions');
+        pack.prompts.forEach((prompt, index) => {
+            if (prompt.card) return;
+            list.appendChild(this.createQuestion(prompt, index));
+        });
+        if (cardQuestions > 0) {
+            const note = document.createElement('p');
+            note.className = 'educational-label';
+            note.textContent = t(cardQuestions === 1 ? 'assignment.cardQuestion' : 'assignment.cardQuestions', { count: cardQuestions });
+            list.after(note);
+        }
+
+        this.container.classList.remove('hidden');
+        this.showCardQuestions();
+    }
+
+    hide() {
+        this.pack = null;
+        this.container.classList.add('hidden');
+        this.container.innerHTML = '';
+        document.querySelectorAll('.card-prompts').forEach(element => element.remove());
+    }
+
+    // Questions about a chart sit right under it, numbered as in the whole assignment
+    showCardQuestions() {
+        document.querySelectorAll('.card-prompts').forEach(element => element.remove());
+
+        METRIC_CARDS.forEach(card => {
+            const questions = this.pack.prompts
+                .map((prompt, index) => ({ prompt, index }))
+                .filter(item => item.prompt.card === card.id);
+            if (questions.length === 0) return;
+
+            const box = document.createElement('div');
+            box.className = 'card-prompts';
+
+            const heading = document.createElement('p');
+            heading.className = 'card-prompts-heading';
+            heading.textContent = t('assignment.asks');
+            box.appendChild(heading);
+
+            const list = document.createElement('ol');
+            questions.forEach(({ prompt, index }) => list.appendChild(this.createQuestion(prompt, index)));
+            box.appendChild(list);
+
+            const section = document.getElementById(`${card.id}Card`);
+            section.insertBefore(box, section.querySelector('.card-exports'));
+        });
+    }
+
+    createQuestion(prompt, index) {
+        const item = document.createElement('li');
+        item.value = index + 1;
+        item.textContent = prompt.text;
+        return item;
+    }
+}
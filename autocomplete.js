@@ -0,0 +1,186 @@
+// Finance Teacher - Ticker autocomplete
+// Type-ahead dropdown for #tickerInput that matches tickers and company names
+
+// Only single companies: ETFs and funds don't have the income statements the charts need.
+// Word boundaries matter here - a plain includes('etf') would also reject "Netflix".
+function isCompanyListing(item) {
+    const name = (item.name || '').toLowerCase();
+
+    if (item.exchange === 'ETF' || /\betfs?\b/.test(name) || /\bfunds?\b/.test(name)) {
+        return false;
+    }
+
+    return true;
+}
+
+class TickerAutocomplete {
+    constructor({ input, list, provider, onSelect }) {
+        this.input = input;
+        this.list = list;
+        this.provider = provider;
+        this.onSelect = onSelect;
+
+        this.suggestions = [];
+        this.activeIndex = -1;
+        this.debounceTimer = null;
+        this.requestId = 0;
+
+        this.debounceMs = 400;
+        this.minQueryLength = 2;
+        this.maxSuggestions = 8;
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.input.addEventListener('input', () => this.scheduleSearch());
+
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        // Give a click on a suggestion time to land before closing
+        this.input.addEventListener('blur', () => setTimeout(() => this.close(), 150));
+
+        // mousedown fires before the input loses focus
+        this.list.addEventListener('mousedown', (e) => {
+            const option = e.target.closest('[data-index]');
+            if (!option) return;
+            e.preventDefault();
+            this.select(parseInt(option.dataset.index, 10));
+        });
+    }
+
+    // Compare mode: only the ticker being typed after the last comma is completed
+    currentToken() {
+        const parts = this.input.value.split(',');
+        return parts[parts.length - 1].trim();
+    }
+
+    scheduleSearch() {
+        clearTimeout(this.debounceTimer);
+
+        const query = this.currentToken();
+        if (query.length < this.minQueryLength) {
+            this.close();
+            return;
+        }
+
+        this.debounceTimer = setTimeout(() => this.search(query), this.debounceMs);
+    }
+
+    async search(query) {
+        const requestId = ++this.requestId;
+
+        try {
+            const results = await this.provider.searchCompanies(query);
+
+            // A newer keystroke has already started another search
+            if (requestId !== this.requestId) return;
+
+            this.suggestions = results
+                .filter(isCompanyListing)
+                .slice(0, this.maxSuggestions);
+            this.activeIndex = -1;
+            this.render();
+        } catch (error) {
+            // Suggestions are a convenience; searching by exact ticker still works
+            console.warn('Ticker suggestions unavailable:', error.message);
+            this.close();
+        }
+    }
+
+    handleKeydown(e) {
+        const isOpen = !this.list.classList.contains('hidden');
+
+        if (e.key === 'ArrowDown' && isOpen) {
+            e.preventDefault();
+            this.setActive(Math.min(this.activeIndex + 1, this.suggestions.length - 1));
+        } else if (e.key === 'ArrowUp' && isOpen) {
+            e.preventDefault();
+            this.setActive(Math.max(this.activeIndex - 1, 0));
+        } else if (e.key === 'Escape' && isOpen) {
+            e.preventDefault();
+            this.close();
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (isOpen && this.activeIndex >= 0) {
+                this.select(this.activeIndex);
+            } else {
+                clearTimeout(this.debounceTimer);
+                this.close();
+                this.onSelect();
+            }
+        }
+    }
+
+    setActive(index) {
+        this.activeIndex = index;
+
+        this.list.querySelectorAll('[data-index]').forEach(option => {
+            const isActive = parseInt(option.dataset.index, 10) === index;
+            option.classList.toggle('active', isActive);
+            option.setAttribute('aria-selected', String(isActive));
+            if (isActive) {
+                this.input.setAttribute('aria-activedescendant', option.id);
+                option.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+
+    select(index) {
+        const suggestion = this.suggestions[index];
+        if (!suggestion) return;
+
+        // Replace the token being typed, keeping any tickers before it
+        const parts = this.input.value.split(',');
+        parts[parts.length - 1] = parts.length > 1 ? ` ${suggestion.symbol}` : suggestion.symbol;
+        this.input.value = parts.join(',');
+
+        this.close();
+        this.onSelect();
+    }
+
+    render() {
+        this.list.innerHTML = '';
+
+        if (this.suggestions.length === 0) {
+            this.close();
+            return;
+        }
+
+        this.suggestions.forEach((suggestion, index) => {
+            const option = document.createElement('li');
+            option.id = `tickerSuggestion${index}`;
+            option.dataset.index = index;
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', 'false');
+
+            // Company names come from the API, so set them as text, never as HTML
+            const symbol = document.createElement('span');
+            symbol.className = 'suggestion-symbol';
+            symbol.textContent = suggestion.symbol;
+
+            const name = document.createElement('span');
+            name.className = 'suggestion-name';
+            name.textContent = suggestion.name;
+
+            const exchange = document.createElement('span');
+            exchange.className = 'suggestion-exchange';
+            exchange.textContent = suggestion.exchange || '';
+
+            option.append(symbol, name, exchange);
+            this.list.appendChild(option);
+        });
+
+        this.list.classList.remove('hidden');
+        this.input.setAttribute('aria-expanded', 'true');
+    }
+
+    close() {
+        // A search still in flight must not reopen the list over what the student chose
+        this.requestId++;
+        this.list.classList.add('hidden');
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+        this.activeIndex = -1;
+    }
+}
@@ -0,0 +1,109 @@
+// Finance Teacher - Browser response cache
+// Keeps FMP responses in IndexedDB so revisiting a ticker doesn't spend API calls
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// How long each endpoint's data stays fresh
+const CACHE_TTLS = {
+    'search-symbol': 14 * DAY, // Company names and exchanges rarely change
+    'search-name': 14 * DAY,
+    'income-statement': 3 * DAY, // Quarterly statements only change on earnings day
+    'balance-sheet-statement': 3 * DAY,
+    'cash-flow-statement': 3 * DAY,
+    'dividends': 3 * DAY, // New payments are announced a few times a year
+    'profile': 14 * DAY, // Sectors and industries rarely change
+    'company-screener': 14 * DAY,
+    'historical-price-eod/light': 6 * HOUR, // Closing prices change once per trading day
+    'historical-price-eod/full': 6 * HOUR
+};
+
+const DEFAULT_CACHE_TTL = HOUR;
+
+class ResponseCache {
+    constructor(dbName = 'finance-teacher-cache', storeName = 'responses') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    static ttlFor(endpoint) {
+        const path = endpoint.split('?')[0];
+        return CACHE_TTLS[path] || DEFAULT_CACHE_TTL;
+    }
+
+    open() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve) => {
+            // Private browsing and very old browsers may not have IndexedDB; run uncached
+            if (!window.indexedDB) {
+                resolve(null);
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('IndexedDB unavailable, responses will not be cached:', request.error);
+                resolve(null);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    async transaction(mode, operation) {
+        const db = await this.open();
+        if (!db) {
+            return null;
+        }
+
+        return new Promise((resolve) => {
+            const store = db.transaction(this.storeName, mode).objectStore(this.storeName);
+            const request = operation(store);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('Response cache error:', request.error);
+                resolve(null);
+            };
+        });
+    }
+
+    async get(key) {
+        const entry = await this.transaction('readonly', store => store.get(key));
+        if (!entry) {
+            return null;
+        }
+
+        if (entry.expiresAt <= Date.now()) {
+            await this.delete(key);
+            return null;
+        }
+
+        return entry;
+    }
+
+    async set(key, data, fetchedAt = Date.now()) {
+        const entry = {
+            data,
+            fetchedAt,
+            expiresAt: fetchedAt + ResponseCache.ttlFor(key)
+        };
+        await this.transaction('readwrite', store => store.put(entry, key));
+        return entry;
+    }
+
+    async delete(key) {
+        await this.transaction('readwrite', store => store.delete(key));
+    }
+
+    async clear() {
+        await this.transaction('readwrite', store => store.clear());
+    }
+}
@@ -1,6 +0,0 @@
-// API Configuration Template
-// Copy this file to config.js and add your actual API key for local development
-// In production (Cloudflare Pages), set FMP_API_KEY as an environment variable
-const CONFIG = {
-    FMP_API_KEY: 'YOUR_FMP_API_KEY_HERE'
-};
\ No newline at end of file
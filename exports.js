@@ -0,0 +1,129 @@
+// Finance Teacher - Exports
+// Downloads the rows behind a card as CSV or JSON, saves charts as PNG images and builds
+// the one-page printable report. Everything happens in the browser; nothing is uploaded.
+
+// Charts are drawn in light colors for the dark cards; exported images keep that background
+// so the lines and labels stay readable on white slides and paper
+const EXPORT_BACKGROUND = '#2A2A2A';
+
+// Message for the unit added to spreadsheet headers, by VALUE_FORMATS key
+const EXPORT_UNITS = {
+    price: 'exports.units.price',
+    billions: 'exports.units.billions',
+    percent: 'exports.units.percent',
+    shares: 'exports.units.shares',
+    multiple: 'exports.units.multiple'
+};
+
+// " (USD billions)"; companies compared across currencies are each in their own
+function exportUnit(format, currency) {
+    return EXPORT_UNITS[format] ? t(EXPORT_UNITS[format], { currency: currency || t('exports.units.ownCurrency') }) : '';
+}
+
+// columns: [{ key, header }] in order
+function rowsToCsv(columns, rows) {
+    const lines = [columns.map(column => csvCell(column.header))];
+    rows.forEach(row => lines.push(columns.map(column => csvCell(row[column.key]))));
+    return lines.map(line => line.join(',')).join('\r\n') + '\r\n';
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+
+    const text = String(value);
+    // Quote anything that would break the row; company names can contain commas
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function downloadFile(filename, content, type) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+function chartToPng(canvas) {
+    const copy = document.createElement('canvas');
+    copy.width = canvas.width;
+    copy.height = canvas.height;
+
+    const ctx = copy.getContext('2d');
+    ctx.fillStyle = EXPORT_BACKGROUND;
+    ctx.fillRect(0, 0, copy.width, copy.height);
+    ctx.drawImage(canvas, 0, 0);
+    return copy.toDataURL('image/png');
+}
+
+function downloadChartPng(filename, canvas) {
+    const link = document.createElement('a');
+    link.href = chartToPng(canvas);
+    link.download = filename;
+    link.click();
+}
+
+// header: the company header card; cards: [{ id }] from METRIC_CARDS, read from the page
+// as currently shown so the report matches the screen (range, view, compare mode, the
+// cards an assignment shows)
+function printCompanyReport({ header, cards }) {
+    const report = document.createElement('div');
+    report.className = 'print-report';
+
+    const title = document.createElement('p');
+    title.className = 'print-report-title';
+    title.textContent = t('exports.reportTitle', { date: formatDate(new Date()) });
+    report.appendChild(title);
+
+    // The header's buttons (watchlist) mean nothing on paper
+    const companyHeader = header.querySelector('.chart-header').cloneNode(true);
+    companyHeader.querySelectorAll('button').forEach(button => button.remove());
+    companyHeader.className = 'print-report-header';
+    report.appendChild(companyHeader);
+
+    const grid = document.createElement('div');
+    grid.className = 'print-report-cards';
+    cards.forEach(card => {
+        const section = document.getElementById(`${card.id}Card`);
+        const canvas = document.getElementById(`${card.id}Chart`);
+        // Cards an assignment leaves out stay off its handout too
+        if (!section || !canvas || section.classList.contains('hidden')) return;
+
+        const item = document.createElement('div');
+        item.className = 'print-report-card';
+
+        const heading = document.createElement('h3');
+        heading.textContent = document.getElementById(`${card.id}Title`).textContent;
+        item.appendChild(heading);
+
+        section.querySelectorAll('.chart-header .educational-label').forEach(label => {
+            const text = document.createElement('p');
+            text.textContent = label.textContent;
+            item.appendChild(text);
+        });
+
+        const image = document.createElement('img');
+        image.src = chartToPng(canvas);
+        image.alt = heading.textContent;
+        item.appendChild(image);
+
+        grid.appendChild(item);
+    });
+    report.appendChild(grid);
+
+    const footer = document.createElement('p');
+    footer.className = 'print-report-footer';
+    footer.textContent = t('exports.reportFooter');
+    report.appendChild(footer);
+
+    document.body.appendChild(report);
+    document.body.classList.add('printing-report');
+
+    const cleanUp = () => {
+        report.remove();
+        document.body.classList.remove('printing-report');
+        window.removeEventListener('afterprint', cleanUp);
+    };
+    window.addEventListener('afterprint', cleanUp);
+    window.print();
+}
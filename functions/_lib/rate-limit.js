@@ -0,0 +1,189 @@
+// Per-client request budgets for the API proxy
+// Works against anything with the Workers KV get/put interface, so a Cloudflare KV
+// namespace in production (wrapped in BufferedStore) and MemoryStore locally or in tests.
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// KV rejects expirationTtl values below 60 seconds
+const MIN_TTL_SECONDS = 60;
+
+// KV allows one write per second per key; BufferedStore writes each key far less often
+const FLUSH_SECONDS = 10;
+
+// Keys a BufferedStore keeps before dropping expired ones
+const MAX_BUFFERED_KEYS = 5000;
+
+// In-memory stand-in for a KV namespace (values are strings, like KV)
+export class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async put(key, value, options = {}) {
+    const expiresAt = options.expirationTtl ? Date.now() + options.expirationTtl * 1000 : null;
+    this.entries.set(key, { value: String(value), expiresAt });
+  }
+
+  prune(now = Date.now()) {
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt !== null && entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+// Keeps this isolate's own view of every key and writes a key through to the backing store
+// at most once per flushSeconds. Busy shared keys (the daily quota, a classroom's IP) would
+// otherwise be written on every request and break KV's per-key write limit. Counts from other
+// isolates arrive late and a burst's last few may stay local, which a budget can live with.
+export class BufferedStore {
+  constructor(store, { flushSeconds = FLUSH_SECONDS } = {}) {
+    this.store = store;
+    this.flushMs = flushSeconds * 1000;
+    this.local = new MemoryStore();
+    // key => when it was last written through
+    this.writtenAt = new Map();
+  }
+
+  async get(key) {
+    const value = await this.local.get(key);
+    return value !== null ? value : this.store.get(key);
+  }
+
+  async put(key, value, options = {}) {
+    const now = Date.now();
+    await this.local.put(key, value, options);
+
+    if (this.local.entries.size > MAX_BUFFERED_KEYS) {
+      this.local.prune(now);
+      for (const [writtenKey, writtenAt] of this.writtenAt) {
+        if (now - writtenAt >= this.flushMs) this.writtenAt.delete(writtenKey);
+      }
+    }
+
+    if (now - (this.writtenAt.get(key) ?? -Infinity) < this.flushMs) {
+      return;
+    }
+    this.writtenAt.set(key, now);
+    await this.store.put(key, value, options);
+  }
+}
+
+export function dayKey(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+export function secondsUntilNextDay(now) {
+  const tomorrow = new Date(now);
+  tomorrow.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((tomorrow.getTime() - now) / 1000);
+}
+
+function parseTimestamps(value) {
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// Sliding-window log plus a daily counter for each identity (session, IP, ...).
+// A request is only recorded against any budget if every budget allows it.
+export class RateLimiter {
+  constructor(store, rules) {
+    this.store = store;
+    this.rules = rules;
+  }
+
+  async check(identities, now = Date.now()) {
+    const states = [];
+
+    for (const rule of this.rules) {
+      const identity = identities[rule.name];
+      if (!identity) continue;
+
+      const windowKey = `rl:${rule.name}:${identity}:window`;
+      const dailyKey = `rl:${rule.name}:${identity}:day:${dayKey(now)}`;
+      const windowStart = now - rule.windowSeconds * 1000;
+
+      const timestamps = parseTimestamps(await this.store.get(windowKey))
+        .filter(timestamp => timestamp > windowStart);
+      const dailyCount = parseInt(await this.store.get(dailyKey) || '0', 10);
+
+      if (timestamps.length >= rule.perWindow) {
+        // Wait until the oldest request in the window slides out
+        const retryAfter = Math.ceil((timestamps[0] + rule.windowSeconds * 1000 - now) / 1000);
+        return { allowed: false, scope: 'window', rule: rule.name, limit: rule.perWindow, retryAfter: Math.max(1, retryAfter) };
+      }
+
+      if (dailyCount >= rule.perDay) {
+        return { allowed: false, scope: 'day', rule: rule.name, limit: rule.perDay, retryAfter: secondsUntilNextDay(now) };
+      }
+
+      states.push({ rule, windowKey, dailyKey, timestamps, dailyCount });
+    }
+
+    let remaining = Infinity;
+
+    for (const { rule, windowKey, dailyKey, timestamps, dailyCount } of states) {
+      timestamps.push(now);
+      await this.store.put(windowKey, JSON.stringify(timestamps), {
+        expirationTtl: Math.max(MIN_TTL_SECONDS, rule.windowSeconds),
+      });
+      await this.store.put(dailyKey, String(dailyCount + 1), { expirationTtl: 2 * DAY_SECONDS });
+
+      remaining = Math.min(remaining, rule.perWindow - timestamps.length, rule.perDay - dailyCount - 1);
+    }
+
+    return { allowed: true, remaining: Number.isFinite(remaining) ? remaining : null };
+  }
+}
+
+// Accounting for the one FMP key everyone shares: a single counter per UTC day
+export class QuotaCounter {
+  constructor(store, dailyQuota) {
+    this.store = store;
+    this.dailyQuota = dailyQuota;
+  }
+
+  async remaining(now = Date.now()) {
+    const used = parseInt(await this.store.get(`quota:day:${dayKey(now)}`) || '0', 10);
+    return Math.max(0, this.dailyQuota - used);
+  }
+
+  async record(now = Date.now()) {
+    const key = `quota:day:${dayKey(now)}`;
+    const used = parseInt(await this.store.get(key) || '0', 10);
+    await this.store.put(key, String(used + 1), { expirationTtl: 2 * DAY_SECONDS });
+    return Math.max(0, this.dailyQuota - used - 1);
+  }
+}
+
+export function rateLimitResponse(result) {
+  return new Response(JSON.stringify({
+    error: 'RATE_LIMITED',
+    scope: result.scope,
+    retryAfter: result.retryAfter,
+    limit: result.limit ?? null,
+  }), {
+    status: 429,
+    headers: {
+      'content-type': 'application/json',
+      'retry-after': String(result.retryAfter),
+    },
+  });
+}
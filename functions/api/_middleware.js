@@ -0,0 +1,96 @@
+// Cloudflare Pages Functions middleware for /api routes
+// Enforces per-session and per-IP request budgets, so one busy client can't use up the key for
+// a whole class, and hands the proxy the shared daily quota to check on edge cache misses.
+import { BufferedStore, MemoryStore, RateLimiter, QuotaCounter, rateLimitResponse } from '../_lib/rate-limit.js';
+
+// Used when no RATE_LIMIT_KV namespace is bound (local dev); lives as long as the isolate
+const memoryStore = new MemoryStore();
+
+// The KV namespace behind a write buffer, kept for the life of the isolate
+let bufferedStore = null;
+
+function getStore(env) {
+  if (!env.RATE_LIMIT_KV) {
+    return memoryStore;
+  }
+  if (!bufferedStore || bufferedStore.store !== env.RATE_LIMIT_KV) {
+    bufferedStore = new BufferedStore(env.RATE_LIMIT_KV);
+  }
+  return bufferedStore;
+}
+
+// The limits protect the shared key, but a store outage shouldn't take the whole app down
+// with it: when counting fails the request goes through uncounted
+async function failOpen(action, fallback) {
+  try {
+    return await action();
+  } catch (error) {
+    console.error('Rate limit store unavailable, allowing request:', error);
+    return fallback;
+  }
+}
+
+// Session ids are generated by the browser; anything else is ignored
+const SESSION_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+function readLimit(env, name, fallback) {
+  const value = parseInt(env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function buildRules(env) {
+  // A classroom usually shares one IP, so the IP budget is several sessions' worth
+  return [
+    {
+      name: 'session',
+      windowSeconds: 60,
+      perWindow: readLimit(env, 'RATE_LIMIT_SESSION_PER_MINUTE', 20),
+      perDay: readLimit(env, 'RATE_LIMIT_SESSION_PER_DAY', 150),
+    },
+    {
+      name: 'ip',
+      windowSeconds: 60,
+      perWindow: readLimit(env, 'RATE_LIMIT_IP_PER_MINUTE', 120),
+      perDay: readLimit(env, 'RATE_LIMIT_IP_PER_DAY', 1500),
+    },
+  ];
+}
+
+export async function onRequest(context) {
+  const { request, env } = context;
+  const store = getStore(env);
+  const now = Date.now();
+
+  const sessionId = request.headers.get('x-client-session');
+  const identities = {
+    session: sessionId && SESSION_ID_PATTERN.test(sessionId) ? sessionId : null,
+    ip: request.headers.get('cf-connecting-ip') || 'unknown',
+  };
+
+  const limiter = new RateLimiter(store, buildRules(env));
+  const result = await failOpen(() => limiter.check(identities, now), { allowed: true, remaining: null });
+  if (!result.allowed) {
+    return rateLimitResponse(result);
+  }
+
+  // Only calls that reach FMP use the shared key, so the proxy checks and records the quota
+  // after its edge cache misses; cached data keeps being served once the quota is used up
+  const quota = new QuotaCounter(store, readLimit(env, 'FMP_DAILY_QUOTA', 250));
+  context.data.quota = {
+    remaining: () => failOpen(() => quota.remaining(now), null),
+    record: () => failOpen(() => quota.record(now), null),
+  };
+
+  const response = await context.next();
+
+  const headers = new Headers(response.headers);
+  if (result.remaining !== null) {
+    headers.set('x-ratelimit-remaining', String(result.remaining));
+  }
+
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+  });
+}
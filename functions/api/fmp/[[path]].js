@@ -0,0 +1,133 @@
+// Cloudflare Pages Function: proxy to Financial Modeling Prep
+// The browser calls /api/fmp/<endpoint>?<params> and the API key is added here,
+// so it never appears in the page or in browser network requests.
+import { rateLimitResponse, secondsUntilNextDay } from '../../_lib/rate-limit.js';
+
+const FMP_BASE_URL = 'https://financialmodelingprep.com/stable';
+
+const HOUR_SECONDS = 60 * 60;
+const DAY_SECONDS = 24 * HOUR_SECONDS;
+
+// Edge cache lifetime per endpoint, matching the browser cache in cache.js
+const CACHE_TTLS = {
+  'search-symbol': 14 * DAY_SECONDS,
+  'search-name': 14 * DAY_SECONDS,
+  'income-statement': 3 * DAY_SECONDS,
+  'balance-sheet-statement': 3 * DAY_SECONDS,
+  'cash-flow-statement': 3 * DAY_SECONDS,
+  'dividends': 3 * DAY_SECONDS,
+  'profile': 14 * DAY_SECONDS,
+  'company-screener': 14 * DAY_SECONDS,
+  'historical-price-eod/light': 6 * HOUR_SECONDS,
+  'historical-price-eod/full': 6 * HOUR_SECONDS,
+};
+
+// Only endpoints the app actually uses can be reached through the proxy
+const ALLOWED_ENDPOINTS = [
+  'search-symbol',
+  'search-name',
+  'income-statement',
+  'balance-sheet-statement',
+  'cash-flow-statement',
+  'dividends',
+  'profile',
+  'company-screener',
+  'historical-price-eod/light',
+  'historical-price-eod/full',
+];
+
+function jsonResponse(body, status) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
+
+export async function onRequestGet(context) {
+  const { request, env, params } = context;
+
+  const endpoint = (params.path || []).join('/');
+  if (!ALLOWED_ENDPOINTS.includes(endpoint)) {
+    return jsonResponse({ error: 'ENDPOINT_NOT_ALLOWED', endpoint }, 404);
+  }
+
+  if (!env.FMP_API_KEY) {
+    console.error('FMP_API_KEY not found in environment variables');
+    return jsonResponse({ error: 'API_KEY_NOT_CONFIGURED' }, 500);
+  }
+
+  // Cache by the public URL (no key in it); "Cache-Control: no-cache" forces a refetch
+  const cache = caches.default;
+  const cacheKey = new Request(new URL(request.url).toString(), { method: 'GET' });
+  const skipCache = (request.headers.get('cache-control') || '').includes('no-cache');
+
+  if (!skipCache) {
+    const cached = await cache.match(cacheKey);
+    if (cached) {
+      const hit = new Response(cached.body, cached);
+      hit.headers.set('x-cache', 'HIT');
+      return hit;
+    }
+  }
+
+  // Set by the middleware; the shared key's quota only matters once we have to ask FMP
+  const { quota } = context.data;
+  if (quota && await quota.remaining() === 0) {
+    return rateLimitResponse({ scope: 'quota', retryAfter: secondsUntilNextDay(Date.now()) });
+  }
+
+  // Forward the query string, but never let the client choose the key
+  const query = new URL(request.url).searchParams;
+  query.delete('apikey');
+  query.set('apikey', env.FMP_API_KEY);
+
+  let upstream;
+  try {
+    upstream = await fetch(`${FMP_BASE_URL}/${endpoint}?${query.toString()}`, {
+      headers: { accept: 'application/json' },
+    });
+  } catch (error) {
+    console.error('FMP upstream request failed:', error);
+    return jsonResponse({ error: 'UPSTREAM_UNAVAILABLE' }, 502);
+  }
+
+  // The request reached FMP, whatever it answered
+  const quotaRemaining = quota ? await quota.record() : null;
+
+  // FMP's own limit was hit: answer in the same shape as our rate limiter
+  if (upstream.status === 429) {
+    return jsonResponse({ error: 'RATE_LIMITED', scope: 'upstream', retryAfter: 60 }, 429);
+  }
+
+  const body = await upstream.text();
+  const response = new Response(body, {
+    status: upstream.status,
+    headers: {
+      'content-type': upstream.headers.get('content-type') || 'application/json',
+      'x-cache': 'MISS',
+      'x-data-as-of': new Date().toUTCString(),
+    },
+  });
+
+  if (upstream.ok && isCacheable(body)) {
+    response.headers.set('cache-control', `public, max-age=${CACHE_TTLS[endpoint]}`);
+    context.waitUntil(cache.put(cacheKey, response.clone()));
+  }
+
+  // Added after caching: the count is about this request, not the data
+  if (quotaRemaining !== null) {
+    response.headers.set('x-quota-remaining', String(quotaRemaining));
+  }
+
+  return response;
+}
+
+// FMP reports some errors (bad symbol, plan limits) as 200 responses with an error object
+function isCacheable(body) {
+  try {
+    const data = JSON.parse(body);
+    return !(data && !Array.isArray(data) && (data.Error || data['Error Message']));
+  } catch (error) {
+    return false;
+  }
+}
@@ -0,0 +1,132 @@
+// Finance Teacher - Language and formatting
+// All interface text lives in the message catalogs in locales/, one file per language, and is
+// looked up with t('key', { name: value }). Numbers, money and dates are formatted with Intl
+// in the reader's locale; money uses the currency the company reports in. The language comes
+// from ?lang=, then the reader's saved choice, then the browser. Switching language reloads
+// the page, so text built once at startup (card shells, catalogs read by the registry) is
+// rebuilt in the new language.
+
+// Filled in by locales/<language>.js; English is complete and the fallback for missing keys
+const MESSAGE_CATALOGS = {};
+
+const LANGUAGES = { en: 'English', es: 'Español' };
+const DEFAULT_LANGUAGE = 'en';
+const LANGUAGE_KEY = 'language';
+
+function detectLanguage() {
+    const requested = new URLSearchParams(window.location.search).get('lang');
+    const saved = localStorage.getItem(LANGUAGE_KEY);
+    const browser = (navigator.language || '').slice(0, 2).toLowerCase();
+
+    return [requested, saved, browser].find(language => LANGUAGES[language]) || DEFAULT_LANGUAGE;
+}
+
+const LANGUAGE = detectLanguage();
+
+// The browser's own region when it speaks the same language (es-MX keeps its number style)
+const LOCALE = (navigator.language || '').toLowerCase().startsWith(LANGUAGE) ? navigator.language : LANGUAGE;
+
+// t('errors.invalidTicker', { ticker: 'XYZ' }); unknown {names} are left in place
+function t(key, params = {}) {
+    const catalog = MESSAGE_CATALOGS[LANGUAGE] || {};
+    const message = catalog[key] ?? MESSAGE_CATALOGS[DEFAULT_LANGUAGE][key];
+    if (message === undefined) {
+        console.warn('Missing message:', key);
+        return key;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => name in params ? params[name] : match);
+}
+
+function setLanguage(language) {
+    localStorage.setItem(LANGUAGE_KEY, language);
+
+    // A ?lang= in the address would win over the saved choice, so it follows the switch
+    const url = new URL(window.location.href);
+    if (url.searchParams.has('lang')) {
+        url.searchParams.set('lang', language);
+    }
+    window.location.assign(url.toString());
+}
+
+// dataset key => attribute it translates
+const TRANSLATED_ATTRIBUTES = {
+    i18nPlaceholder: 'placeholder',
+    i18nTitle: 'title',
+    i18nAriaLabel: 'aria-label'
+};
+
+// Static markup names its text with data-i18n (text), data-i18n-html (catalog markup),
+// and data-i18n-placeholder, -title and -aria-label for attributes
+function translatePage(root = document) {
+    document.documentElement.lang = LANGUAGE;
+
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    // Catalog text is our own markup, never API data, so it can go in as HTML
+    root.querySelectorAll('[data-i18n-html]').forEach(element => {
+        element.innerHTML = t(element.dataset.i18nHtml);
+    });
+    root.querySelectorAll('[data-i18n-placeholder], [data-i18n-title], [data-i18n-aria-label]').forEach(element => {
+        Object.entries(TRANSLATED_ATTRIBUTES).forEach(([key, attribute]) => {
+            if (element.dataset[key]) {
+                element.setAttribute(attribute, t(element.dataset[key]));
+            }
+        });
+    });
+}
+
+// Intl formatters are slow to build and used for every axis tick, so they are kept
+const numberFormats = {};
+
+function getNumberFormat(options) {
+    const key = JSON.stringify(options);
+    if (!numberFormats[key]) {
+        numberFormats[key] = new Intl.NumberFormat(LOCALE, options);
+    }
+    return numberFormats[key];
+}
+
+// formatDecimal(20.04, 1) -> "20.0" in English, "20,0" in Spanish
+function formatDecimal(value, digits = 0) {
+    return getNumberFormat({ minimumFractionDigits: digits, maximumFractionDigits: digits }).format(value);
+}
+
+// A fraction: formatPercentage(0.081) -> "8%"
+function formatPercentage(fraction, digits = 0) {
+    return getNumberFormat({ style: 'percent', minimumFractionDigits: digits, maximumFractionDigits: digits }).format(fraction);
+}
+
+// currency is the company's reporting currency (ISO 4217); null formats a plain number
+function formatCurrency(value, currency, digits = 2) {
+    const options = { minimumFractionDigits: digits, maximumFractionDigits: digits };
+    return getNumberFormat(currency ? { ...options, style: 'currency', currency } : options).format(value);
+}
+
+// Large amounts with the locale's own short scale words: "$1.2B", "1,2 mil M US$"
+function formatCompactCurrency(value, currency) {
+    const options = { notation: 'compact', maximumFractionDigits: 1 };
+    return getNumberFormat(currency ? { ...options, style: 'currency', currency } : options).format(value);
+}
+
+function formatCompactNumber(value) {
+    return getNumberFormat({ notation: 'compact', maximumFractionDigits: 1 }).format(value);
+}
+
+// date: YYYY-MM-DD, a timestamp or a Date. Plain dates are read as UTC so they never shift a day.
+function formatDate(date, options = { dateStyle: 'long' }) {
+    const value = typeof date === 'string' && date.length === 10 ? `${date}T00:00:00Z` : date;
+    const timeZone = typeof date === 'string' && date.length === 10 ? 'UTC' : undefined;
+    return new Intl.DateTimeFormat(LOCALE, { ...options, timeZone }).format(new Date(value));
+}
+
+// "October 2026", "octubre de 2026"
+function formatMonthYear(date) {
+    return formatDate(date, { month: 'long', year: 'numeric' });
+}
+
+// "90th" in English; languages without ordinal suffixes just get the number
+function formatOrdinal(number) {
+    const rule = new Intl.PluralRules(LOCALE, { type: 'ordinal' }).select(number);
+    return t(`ordinal.${rule}`, { number });
+}
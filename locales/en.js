@@ -0,0 +1,403 @@
+// Finance Teacher - English messages
+// Keys are grouped by the part of the app that shows them. {name} is filled in by t().
+// Values with markup are only used with innerHTML for our own text, never API data.
+
+MESSAGE_CATALOGS.en = {
+    // Page, search and view options
+    'app.title': 'Finance Teacher',
+    'app.subtitle': 'Learn about companies and see the story behind the numbers.',
+    'app.language': 'Language',
+    'app.footer': 'Powered by Financial Modeling Prep — Educational use only, not investment advice.',
+    'search.heading': 'Enter Stock Ticker',
+    'search.description': 'Search for a public company to analyze its financial performance, or enter 2 to 4 tickers separated by commas to compare them',
+    'search.placeholder': 'Try: AAPL or apple — or compare: TSLA, MSFT',
+    'search.suggestions': 'Matching companies',
+    'search.button': 'Search',
+    'search.refresh': 'Refresh data',
+    'search.refreshTitle': 'Skip saved data and download the latest numbers',
+    'search.print': 'Print report',
+    'search.printTitle': 'Print the company header, every chart and its labels on one page',
+    'search.hint': 'Type a ticker or company name. Free tier supports: AAPL, TSLA, AMZN, MSFT, GOOGL, META, NVDA, NFLX',
+    'search.sampleSymbols': 'Sample data available for: {symbols}',
+    'search.loading': 'Loading financial data...',
+    'range.group': 'Price range',
+    'range.1M': '1M',
+    'range.1MLabel': '1 Month',
+    'range.6M': '6M',
+    'range.6MLabel': '6 Months',
+    'range.YTD': 'YTD',
+    'range.YTDLabel': 'Year to Date',
+    'range.1Y': '1Y',
+    'range.1YLabel': '12 Months',
+    'range.5Y': '5Y',
+    'range.5YLabel': '5 Years',
+    'range.MAX': 'Max',
+    'range.MAXLabel': 'All Available History',
+    'reporting.group': 'Reporting period',
+    'reporting.quarter': 'Quarterly',
+    'reporting.annual': 'Annual',
+    'reporting.ttm': 'TTM',
+    'periods.group': 'Number of periods',
+    'periods.quarters': '{count}Q',
+    'periods.years': '{count}Y',
+    'periods.axisAnnual': 'Last {periods} Fiscal Years',
+    'periods.axisTtm': 'Trailing Twelve Months, Last {periods} Quarters',
+    'periods.axisQuarter': 'Last {periods} Reported Quarters',
+    'periods.axisCalendarQuarters': 'Calendar Quarters',
+    'periods.axisCalendarYears': 'Fiscal Years (by year ended)',
+    'periods.spanQuarter': 'Last {periods} Quarters Combined',
+    'periods.spanAnnual': 'Last {periods} Fiscal Years Combined',
+    'periods.spanTtm': 'Trailing Twelve Months',
+    'periods.label': '{period} {year}',
+    'periods.Q1': 'Q1',
+    'periods.Q2': 'Q2',
+    'periods.Q3': 'Q3',
+    'periods.Q4': 'Q4',
+    'periods.FY': 'FY',
+    'periods.ttmLabel': 'TTM {period}',
+    'company.listing': 'Exchange: {exchange} • Currency: {currency}',
+    'company.comparing': 'Comparing {count} Companies',
+    'company.compareColors': 'Each company keeps the same color on every chart below.',
+    'provider.offlineNotice': 'Offline mode: showing illustrative sample data, not real company figures.',
+
+    // Errors
+    'errors.emptyTicker': 'Please enter a stock ticker symbol',
+    'errors.compareLimit': 'Compare mode works with 2 to {max} companies at a time.',
+    'errors.fetchFailed': 'Unable to fetch data. Please try again.',
+    'errors.rateLimit': 'API rate limit exceeded. Please wait a moment and try again.',
+    'errors.auth': 'This feature requires a premium Financial Modeling Prep subscription.',
+    'errors.noData': 'No data available for this ticker. Please try a different company.',
+    'errors.noSampleData': 'No sample data for this ticker. Start typing a company name to see what is available.',
+    'errors.invalidTicker': 'Invalid ticker symbol. Please check the symbol and try again.',
+    'errors.notACompany': 'This is a fund or ETF, not a single company. Funds hold many companies, so they have no income statement to chart.',
+    'errors.invalidAssignment': 'That file isn\'t a Finance Teacher assignment, or it names no companies. Ask your teacher for a new copy.',
+    'errors.assignmentNotFound': 'The assignment link doesn\'t point to an assignment file. Check the link with your teacher.',
+    'errors.proxy': 'The data service is not set up correctly. Please let your teacher know.',
+    'errors.unavailable': 'API service temporarily unavailable. Please try again later.',
+    'errors.forTicker': '{ticker}: {message}',
+    'errors.dailyLimit': 'You\'ve used today\'s searches for this device. You can search again in {wait}.',
+    'errors.sharedQuota': 'The class has used today\'s shared data allowance. Searching reopens in {wait}.',
+    'errors.shortLimit': 'Too many searches in a short time. You can search again in {wait}.',
+    'errors.waitHours': '{hours}h {minutes}m',
+
+    // Chart cards
+    'cards.explain': 'Explain this chart',
+    'cards.notMeaningful': 'Not meaningful',
+    'cards.dataAsOf': 'Data as of {time}',
+    'cards.price.title': 'Stock Price ({range})',
+    'cards.price.compareTitle': 'Price Performance ({range})',
+    'cards.price.label': 'Stock prices move like a rollercoaster — short drops are normal! Diamonds mark earnings reports: hover one to see how the stock reacted.',
+    'cards.price.compareLabel': 'Every line starts at 100, so you can compare growth: 120 means the stock rose 20%, 80 means it fell 20%.',
+    'cards.price.close': 'Stock Price',
+    'cards.price.sma50': '50-Day Average',
+    'cards.price.sma200': '200-Day Average',
+    'cards.price.peak': 'Highest Close So Far',
+    'cards.price.volume': 'Volume',
+    'cards.fundamentals.title': 'Company Fundamentals',
+    'cards.fundamentals.compareTitle': 'Company Fundamentals ({span})',
+    'cards.fundamentals.label': 'A sustainable company earns more than it spends.',
+    'cards.fundamentals.compareLabel': 'Bigger companies have taller bars — compare how much of each company\'s revenue turns into profit.',
+    'cards.fundamentals.seasonality': '<strong>Why do some quarters jump around?</strong> Many businesses are seasonal. Online stores like Amazon sell far more in the holiday quarter (October–December) than in spring, so a drop right after the holidays is normal — not a sign of trouble. Compare a quarter with the same quarter a year earlier, or switch to <em>TTM</em> to smooth the seasons out.',
+    'cards.fundamentals.revenue': 'Revenue',
+    'cards.fundamentals.expenses': 'Expenses',
+    'cards.fundamentals.profit': 'Net Income',
+    'cards.cashFlow.title': 'Cash Flow',
+    'cards.cashFlow.compareTitle': 'Cash Flow ({span})',
+    'cards.cashFlow.label': 'Profit is what the accountants count. Cash is what actually lands in the bank.',
+    'cards.cashFlow.compareLabel': 'Free cash flow is the cash left over after paying to run and grow the business.',
+    'cards.cashFlow.tooltipTitle': 'Why isn\'t profit the same as cash?',
+    'cards.cashFlow.tooltip': '<p><strong>Operating cash flow</strong> is the cash the business actually collected minus the cash it paid out to run itself.</p><p><strong>Capital expenditures</strong> are cash spent on things that last, like factories, stores and computers.</p><p><strong>Free cash flow</strong> is what\'s left: operating cash flow minus capital expenditures.</p><br><p><strong>How can a profitable company run out of cash?</strong></p><p>• A sale counts as profit the day it happens, even if the customer pays months later</p><p>• Products sitting in a warehouse cost cash but haven\'t been sold yet</p><p>• A growing company may spend more on new buildings than it earns</p><p>Bills are paid with cash, not profit — that\'s why companies watch both.</p>',
+    'cards.cashFlow.operating': 'Operating Cash Flow',
+    'cards.cashFlow.capex': 'Capital Expenditures',
+    'cards.cashFlow.free': 'Free Cash Flow',
+    'cards.cashFlow.netIncome': 'Net Income',
+    'cards.cashFlow.calloutTitle': 'Profit and cash tell different stories.',
+    'cashFlow.subject': 'In {period}, the company',
+    'cashFlow.subjectTicker': '{ticker} in {period}',
+    'cashFlow.cashBehind': '{subject} reported {profit} of profit but brought in only {cash} of cash from its business. Sales count as profit when they are made, but the cash only arrives when customers pay — money can get stuck in unpaid bills and unsold inventory.',
+    'cashFlow.lossWithCash': '{subject} lost {loss} on paper but its business still brought in {cash} of cash. Some expenses, like the wearing-out of equipment (depreciation), reduce profit without any cash leaving.',
+    'cashFlow.cashAhead': '{subject} brought in {cash} of cash from its business, more than twice its {profit} of profit. Expenses that use no cash, like depreciation, or customers paying in advance can push cash above profit.',
+    'cards.balance.title': 'Balance Sheet',
+    'cards.balance.compareTitle': 'Balance Sheet (Latest)',
+    'cards.balance.label': 'Everything a company owns (assets) was paid for with borrowed money (liabilities) or the owners\' money (equity).',
+    'cards.balance.compareLabel': 'A balance sheet is a snapshot, so each company shows its most recent one. Watch how much of each bar is debt.',
+    'cards.balance.ratios': 'Debt-to-equity compares borrowed money to owners\' money — above 2x means the company leans heavily on debt. A current ratio below 1x means it owes more this year than it has in cash and short-term assets.',
+    'cards.balance.snapshotNote': '<strong>Balance sheets are snapshots:</strong> each bar is what the company owned and owed on the last day of that quarter, so there is nothing to add up over twelve months. The TTM view shows the same quarter-end figures.',
+    'cards.balance.ratioAxis': 'Ratio',
+    'cards.balance.liabilities': 'Liabilities (owed)',
+    'cards.balance.equity': 'Shareholders\' Equity (owned)',
+    'cards.balance.debtToEquity': 'Debt-to-Equity',
+    'cards.balance.currentRatio': 'Current Ratio',
+    'cards.pe.title': 'Price-to-Earnings (P/E) Ratio',
+    'cards.pe.label': 'When this line is high, investors are paying more for each $1 of profit. When it\'s low, the stock might be \'on sale.\'',
+    'cards.pe.tooltipTitle': 'What is P/E Ratio?',
+    'cards.pe.tooltip': '<p><strong>Think of it like this:</strong></p><p>If you bought the whole company today, how many years would it take to earn back your money?</p><br><p><strong>How it works:</strong></p><p>• Take the stock price (what you pay for 1 share)</p><p>• Divide by earnings per share (profit per share in the last 12 months)</p><p>• That\'s your P/E ratio!</p><br><p><strong>What it means:</strong></p><p>• P/E of 15 = It takes 15 years to earn back your investment</p><p>• Lower P/E = Cheaper stock (might be on sale!)</p><p>• Higher P/E = More expensive (people think it will grow fast)</p>',
+    'cards.pe.series': 'P/E Ratio',
+    'cards.pe.peerLabel': 'P/E',
+    'cards.pe.losingMoney': '{ticker} (no P/E while losing money)',
+    'cards.pe.noProfit': 'No profit',
+    'cards.roe.title': 'Return on Equity (ROE)',
+    'cards.roe.label': 'This shows how good the company is at turning its money into more money.',
+    'cards.roe.tooltipTitle': 'What is Return on Equity (ROE)?',
+    'cards.roe.tooltip': '<p><strong>Equity</strong> is the money that belongs to the owners of the company. ROE shows how much profit the company made with that owner\'s money. If ROE is 15%, that means for every $100 the owners put in, the company made $15 profit.</p>',
+    'cards.roe.series': 'ROE %',
+    'cards.roe.peerLabel': 'ROE',
+    'cards.roe.good': 'Good ({value})',
+    'cards.roe.great': 'Great ({value})',
+    'cards.roe.exceptional': 'Exceptional ({value})',
+    'cards.margin.title': 'Net Profit Margin',
+    'cards.margin.label': 'How many cents of every $1 of sales the company keeps as profit.',
+    'cards.margin.tooltipTitle': 'What is Net Profit Margin?',
+    'cards.margin.tooltip': '<p><strong>Net margin</strong> is net income divided by revenue. A 20% margin means the company keeps $20 of profit from every $100 it sells, after paying for everything.</p><br><p>Margins depend a lot on the business: a grocery store may keep 2 cents of each dollar while a software company keeps 30. That\'s why the dashed line shows the median of similar companies.</p>',
+    'cards.margin.series': 'Net Margin %',
+    'cards.margin.peerLabel': 'Net margin',
+    'earnings.reported': '{period} results, reported {date}',
+    'earnings.revenue': 'Revenue: {revenue}',
+    'earnings.eps': 'EPS: {eps}',
+    'earnings.reaction': 'Next {days} trading days: {move}',
+    'earnings.tooSoon': 'not enough trading days yet',
+
+    // Price chart overlays
+    'overlays.group': 'Chart overlays',
+    'overlays.sma50': '50-Day Avg',
+    'overlays.sma50Note': '<strong>50-day moving average:</strong> the average closing price over the last 50 trading days, about ten weeks. It smooths out the daily bumps so the direction of the ride is easier to see.',
+    'overlays.sma200': '200-Day Avg',
+    'overlays.sma200Note': '<strong>200-day moving average:</strong> the average over the last 200 trading days, about ten months. A price above it means the stock has been climbing over the long run; many investors watch for the 50-day line crossing it.',
+    'overlays.volume': 'Volume',
+    'overlays.volumeNote': '<strong>Volume:</strong> how many shares changed hands each day, in the panel under the price. Tall bars often line up with news like an earnings report. A big move on big volume means many investors agreed.',
+    'overlays.drawdown': 'Drawdown',
+    'overlays.drawdownNote': '<strong>Drawdown:</strong> the red area between the price and its highest close so far in this range. Its depth is how far the stock has fallen from its peak — the rollercoaster\'s drops, measured.',
+
+    // Peer benchmarks
+    'peers.median': 'Peer median ({value})',
+    'peers.loading': 'vs peers: finding similar companies…',
+    'peers.sector': '{name} sector',
+    'peers.noValue': 'vs peers: no {label} for {ticker} in the last four quarters, so it can\'t be ranked against {group}.',
+    'peers.noPeerValues': 'vs peers: none of {group} has a meaningful {label} to compare with.',
+    'peers.badge': 'vs peers: {percentile} percentile — {label} {value} over the last four quarters vs a median of {median} for {group}.',
+
+    // Chart stories (narrative.js)
+    'narrative.priceUp': 'rose {percent}',
+    'narrative.priceDown': 'fell {percent}',
+    'narrative.priceFlat': 'stayed about the same',
+    'narrative.amountUp': 'grew {percent}',
+    'narrative.amountDown': 'shrank {percent}',
+    'narrative.amountFlat': 'stayed about the same',
+    'narrative.profitUp': 'grew',
+    'narrative.profitDown': 'shrank',
+    'narrative.profitFlat': 'stayed about the same',
+    'narrative.price.change': 'Between {from} and {to} the stock {change}, from {first} to {last}.',
+    'narrative.price.nearHigh': 'It is trading at or near its highest price of this period.',
+    'narrative.price.fellFromHigh': 'The stock fell {percent} from its high in {month}.',
+    'narrative.price.dip': 'It is {percent} below its high in {month} — a normal dip.',
+    'narrative.fundamentals.so': 'Revenue {revenue} from {from} to {to} while expenses {expenses}, so profit {profit}.',
+    'narrative.fundamentals.and': 'Revenue {revenue} from {from} to {to} while expenses {expenses}, and profit {profit}.',
+    'narrative.fundamentals.toProfit': 'It went from a loss in {from} to a profit in {to}.',
+    'narrative.fundamentals.toLoss': 'It went from a profit in {from} to a loss in {to}.',
+    'narrative.fundamentals.loss': 'In {period} the company lost {loss}: it spent more than it earned.',
+    'narrative.fundamentals.kept': 'In {period} it kept {percent} of its revenue as profit ({profit}).',
+    'narrative.cashFlow.kept': 'In {period} the business brought in {operating} of cash, spent {capex} on things that last, and kept {free} of free cash flow.',
+    'narrative.cashFlow.usedUp': 'In {period} the company used up {amount} more cash than its business brought in, after paying for things that last.',
+    'narrative.cashFlow.allPositive': 'Free cash flow was positive in every period shown.',
+    'narrative.cashFlow.allNegative': 'Free cash flow was negative in every period shown, so the company relies on cash it already has or raises.',
+    'narrative.cashFlow.someNegative': 'Free cash flow was negative in {negative} of the {total} periods shown.',
+    'narrative.balance.negativeEquity': 'At the end of {period} the company owed more than it owned, so shareholders\' equity was negative ({equity}).',
+    'narrative.balance.assets': 'At the end of {period} the company owned {assets} of assets: {borrowed} paid for with borrowed money and {owned} by its owners.',
+    'narrative.balance.debtFlat': 'Debt-to-equity stayed about the same at {value}x.',
+    'narrative.balance.debtUp': 'Debt-to-equity rose from {from}x to {to}x.',
+    'narrative.balance.debtDown': 'Debt-to-equity fell from {from}x to {to}x.',
+    'narrative.balance.currentLow': 'Its current ratio of {value}x means bills due within a year are larger than its cash and short-term assets.',
+    'narrative.balance.currentOk': 'Its current ratio of {value}x means it has enough short-term assets to cover the bills due within a year.',
+    'narrative.pe.neverMeaningful': 'The company lost money over the past year in every period shown, so it has no meaningful P/E.',
+    'narrative.pe.flat': 'P/E stayed about the same at {value}.',
+    'narrative.pe.up': 'P/E went up from {from} in {first} to {to} in {last}, so investors are paying more for each $1 of profit.',
+    'narrative.pe.down': 'P/E went down from {from} in {first} to {to} in {last}, so each $1 of profit costs less than it did.',
+    'narrative.pe.meaning': 'A P/E of {value} means investors pay about ${value} for each $1 of yearly profit.',
+    'narrative.pe.someNotMeaningful': 'In {count} of the periods shown the company lost money, so P/E is not meaningful there.',
+    'narrative.roe.negative': 'ROE was negative ({value}) in {period}: the company lost money on its owners\' investment.',
+    'narrative.roe.latest': 'ROE was {value} in {period}{benchmark}.',
+    'narrative.roe.veryHigh': 'An ROE this high usually means equity is small — for example after years of buying back shares — not that the company is many times better than others.',
+    'narrative.margin.negative': 'The net margin was {value} in {period}: the company spent more than it made from its sales.',
+    'narrative.margin.latest': 'The net margin was {value} in {period}{benchmark}: it kept about {cents} cents of every $1 of sales as profit.',
+    'narrative.upFrom': 'That is up from {value} in {period}.',
+    'narrative.downFrom': 'That is down from {value} in {period}.',
+    'narrative.aboveLine': ', above the \'{label}\' line',
+    'narrative.belowLine': ', below the \'{label}\' line',
+
+    // Quiz (quiz.js)
+    'quiz.heading': 'Check Your Understanding: {ticker}',
+    'quiz.intro': 'Every answer is on the charts above. Take a look, then pick one.',
+    'quiz.score': 'You got {score} of {total} right!',
+    'quiz.progress': '{answered} of {total} answered — {score} correct so far',
+    'quiz.correct': 'Correct!',
+    'quiz.incorrect': 'Not quite.',
+    'quiz.seeChart': 'See the chart',
+    'quiz.history': 'Your recent quizzes',
+    'quiz.historyItem': '{ticker}: {score} of {total} — {date}',
+    'quiz.yes': 'Yes',
+    'quiz.no': 'No',
+    'quiz.netIncome.prompt': 'In which period was net income highest?',
+    'quiz.netIncome.tallest': 'Look at the green Net Income bars on the Company Fundamentals chart: the tallest is {period} at {profit}.',
+    'quiz.netIncome.smallestLoss': 'The company lost money in every period, so all the green Net Income bars point down. The "highest" is the smallest loss, the bar closest to zero: {period} at {profit}.',
+    'quiz.price.prompt': 'Over the whole stock price chart, did the price end higher or lower than where it started?',
+    'quiz.price.higher': 'Higher',
+    'quiz.price.lower': 'Lower',
+    'quiz.price.up': 'The line starts at {first} on the left and ends at {last} on the right, up {percent}. The bumps in between don\'t change where it finished.',
+    'quiz.price.down': 'The line starts at {first} on the left and ends at {last} on the right, down {percent}. The bumps in between don\'t change where it finished.',
+    'quiz.pe.notMeaningfulPrompt': 'Why does the P/E chart show "{label}" instead of a line?',
+    'quiz.pe.lostMoney': 'The company lost money, so there are no earnings to divide by',
+    'quiz.pe.priceZero': 'The stock price was zero',
+    'quiz.pe.yearly': 'P/E is only calculated once a year',
+    'quiz.pe.notMeaningfulExplanation': 'P/E is price divided by earnings per share. The red shaded boxes mark periods where the company\'s trailing earnings were zero or negative, so the ratio would mean nothing.',
+    'quiz.pe.prompt': 'Did the P/E ratio go up or down from {first} to {last}?',
+    'quiz.pe.up': 'Up',
+    'quiz.pe.down': 'Down',
+    'quiz.pe.same': 'Stayed about the same',
+    'quiz.pe.explanation': 'On the P/E chart the line goes from {from} in {first} to {to} in {last}. {meaning}',
+    'quiz.pe.paysMore': 'Investors are now paying more for each $1 of profit.',
+    'quiz.pe.paysLess': 'Each $1 of profit now costs investors less.',
+    'quiz.pe.paysSame': 'Investors pay about the same for each $1 of profit.',
+    'quiz.roe.prompt': 'Is the ROE in {period} above the \'{label}\' line?',
+    'quiz.roe.above': 'The {period} bar on the Return on Equity chart reaches {value}, which is above the dashed \'{label}\' line.',
+    'quiz.roe.below': 'The {period} bar on the Return on Equity chart reaches {value}, which is below the dashed \'{label}\' line.',
+    'quiz.cashFlow.prompt': 'In {period}, was free cash flow positive or negative?',
+    'quiz.cashFlow.positive': 'Positive — cash was left over',
+    'quiz.cashFlow.negative': 'Negative — more cash went out than came in',
+    'quiz.cashFlow.above': 'On the Cash Flow chart the green Free Cash Flow bar for {period} is above zero at {free}: operating cash flow ({operating}) minus capital expenditures ({capex}).',
+    'quiz.cashFlow.below': 'On the Cash Flow chart the green Free Cash Flow bar for {period} is below zero at {free}: operating cash flow ({operating}) minus capital expenditures ({capex}).',
+    'quiz.balance.prompt': 'At the end of {period}, which was bigger: liabilities or shareholders\' equity?',
+    'quiz.balance.liabilities': 'Liabilities (what it owes)',
+    'quiz.balance.equity': 'Shareholders\' equity (what the owners own)',
+    'quiz.balance.explanation': 'In the {period} bar on the Balance Sheet chart, the red liabilities part is {liabilities} and the green equity part is {equity}.',
+
+    // What-if calculator (what-if.js)
+    'whatIf.heading': 'What if I had invested…?',
+    'whatIf.intro': 'Pick an amount and a start date, or click a point on the price chart to start there.',
+    'whatIf.amount': 'Amount',
+    'whatIf.amountIn': 'Amount ({currency})',
+    'whatIf.startDate': 'Start date',
+    'whatIf.reinvest': 'Reinvest dividends',
+    'whatIf.monthly': 'Compare with investing monthly',
+    'whatIf.calculate': 'Calculate',
+    'whatIf.amountError': 'Enter an amount greater than {zero}.',
+    'whatIf.dateError': 'Pick a start date between {first} and {last}.',
+    'whatIf.summary': '{amount} invested in {ticker} on {entryDate} at {price} a share would be worth {value} on {exitDate}.',
+    'whatIf.finalValue': 'Final value',
+    'whatIf.totalReturn': 'Total return',
+    'whatIf.annualized': 'Per year (annualized)',
+    'whatIf.underAYear': 'Under 1 year',
+    'whatIf.annualizedNote': 'Annualized return is the steady yearly growth that would turn {amount} into {value} over the same time.',
+    'whatIf.dividendsMissing': 'Dividend data isn\'t available right now, so this leaves dividends out.',
+    'whatIf.dividendsReinvested': '{ticker} paid {cash} in dividends along the way. Using them to buy {shares} more shares is included in the final value.',
+    'whatIf.noDividends': '{ticker} paid no dividends in this time, so there was nothing to reinvest.',
+    'whatIf.monthlyResult': 'Investing {installment} each month instead ({purchases} purchases) would be worth {value}, a return of {return}. {verdict}',
+    'whatIf.lumpSumWon': 'Investing it all at once came out ahead: money invested earlier had longer to grow.',
+    'whatIf.monthlyWon': 'Investing monthly came out ahead: later purchases bought shares at lower prices.',
+    'whatIf.entryLabel': 'You invest {amount}',
+
+    // Paper trading (portfolio.js)
+    'portfolio.heading': 'Paper Trading',
+    'portfolio.intro': 'Practice investing with {cash} of pretend money. Buy and sell the companies you searched at real closing prices from any date on the chart.',
+    'portfolio.company': 'Company',
+    'portfolio.date': 'Date',
+    'portfolio.shares': 'Shares',
+    'portfolio.buy': 'Buy',
+    'portfolio.sell': 'Sell',
+    'portfolio.price': 'at {price} per share',
+    'portfolio.exportCsv': 'Download trades (CSV)',
+    'portfolio.exportJson': 'Download account (JSON)',
+    'portfolio.side': 'Buy or sell',
+    'portfolio.sideBuy': 'Buy',
+    'portfolio.sideSell': 'Sell',
+    'portfolio.tradePrice': 'Price',
+    'portfolio.reset': 'Start over',
+    'portfolio.resetConfirm': 'Start over with {cash} and no trades? This can\'t be undone.',
+    'portfolio.notEnoughCash': 'You don\'t have enough cash for that. You have {cash} to spend.',
+    'portfolio.notEnoughShares': 'You can only sell shares you own.',
+    'portfolio.invalidShares': 'Enter a whole number of shares, 1 or more.',
+    'portfolio.tradeBeforeLast': 'Your last trade was on {date}. Pick that date or a later one — no going back in time!',
+    'portfolio.noPrice': 'There is no closing price for that date yet. Pick a date on the price chart.',
+    'portfolio.foreignCurrency': '{ticker} is priced in {currency}, but your pretend money is in {cash}. You can only trade companies priced in {cash}.',
+    'portfolio.tradeFailed': 'That trade didn\'t work. Please try again.',
+    'portfolio.cash': 'Cash',
+    'portfolio.holdings': 'Shares worth',
+    'portfolio.total': 'Total value',
+    'portfolio.gain': 'Gain / loss',
+    'portfolio.empty': 'No trades yet. Pick a company and a date, then press Buy.',
+    'portfolio.averageCost': 'Average cost',
+    'portfolio.latestPrice': 'Latest price',
+    'portfolio.value': 'Value',
+    'portfolio.unrealized': 'Unrealized',
+    'portfolio.unrealizedTitle': 'Gain or loss on shares you still own',
+    'portfolio.realized': 'Realized',
+    'portfolio.realizedTitle': 'Gain or loss locked in when you sold',
+    'portfolio.chartLabel': 'Portfolio value',
+    'portfolio.startingCash': 'Starting cash',
+
+    // Watchlist
+    'watchlist.on': '★ On your watchlist',
+    'watchlist.full': 'Watchlist is full',
+    'watchlist.add': '☆ Add to watchlist',
+    'watchlist.heading': 'My Watchlist',
+    'watchlist.intro': 'Your saved companies at a glance. Click one to see all of its charts.',
+    'watchlist.open': 'Open {ticker}',
+    'watchlist.remove': 'Remove from watchlist',
+    'watchlist.waiting': 'Waiting to load…',
+    'watchlist.loading': 'Loading…',
+    'watchlist.rateLimitWait': 'Waiting {seconds}s for the data limit…',
+    'watchlist.rateLimit': 'Data limit reached — try again later.',
+    'watchlist.noData': 'No data available',
+    'watchlist.change': '{change} 1Y',
+    'watchlist.figures': '{label}: revenue {revenue}, net income {netIncome}',
+
+    // Downloads and printed report
+    'exports.group': 'Download this chart',
+    'exports.download': 'Download:',
+    'exports.notMeaningful': '{label} not meaningful',
+    'exports.units.price': ' ({currency})',
+    'exports.units.billions': ' ({currency} billions)',
+    'exports.units.percent': ' (%)',
+    'exports.units.shares': ' (shares)',
+    'exports.units.multiple': ' (x)',
+    'exports.units.ownCurrency': 'own currency',
+    'exports.reportTitle': 'Finance Teacher — Company Report — {date}',
+    'exports.reportFooter': 'Educational use only, not investment advice.',
+
+    // Assignments
+    'assignment.create': 'Create an assignment',
+    'assignment.openFile': 'Open an assignment file',
+    'assignment.defaultTitle': 'Assignment',
+    'assignment.editorHeading': 'Create an Assignment',
+    'assignment.editorIntro': 'Choose the companies, the view and the charts, add your own labels and questions, then download the file for your students.',
+    'assignment.title': 'Title',
+    'assignment.titlePlaceholder': 'Streaming giants',
+    'assignment.instructions': 'Instructions',
+    'assignment.instructionsPlaceholder': 'Compare the two companies, then answer the questions.',
+    'assignment.companies': 'Companies',
+    'assignment.priceRange': 'Price range',
+    'assignment.periods': 'Periods',
+    'assignment.reporting': 'Reporting',
+    'assignment.charts': 'Charts to show, with an optional label of your own',
+    'assignment.defaultLabel': 'Default: {label}',
+    'assignment.questions': 'Questions',
+    'assignment.addQuestion': 'Add a question',
+    'assignment.preview': 'Try it as a student',
+    'assignment.download': 'Download assignment',
+    'assignment.close': 'Close',
+    'assignment.generalQuestion': 'General question',
+    'assignment.questionPlaceholder': 'Which company kept more of its revenue as profit?',
+    'assignment.removeQuestion': 'Remove this question',
+    'assignment.noCharts': 'Pick at least one chart to show.',
+    'assignment.invalidTickers': 'Enter 1 to {max} ticker symbols, separated by commas.',
+    'assignment.leave': 'Leave assignment',
+    'assignment.heading': 'Assignment: {title}',
+    'assignment.cardQuestion': 'One more question is next to the charts below.',
+    'assignment.cardQuestions': '{count} more questions are next to the charts below.',
+    'assignment.asks': 'Your assignment asks:',
+
+    // Ordinal numbers, by Intl.PluralRules ordinal category
+    'ordinal.one': '{number}st',
+    'ordinal.two': '{number}nd',
+    'ordinal.few': '{number}rd',
+    'ordinal.other': '{number}th'
+};
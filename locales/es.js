@@ -0,0 +1,402 @@
+// Finance Teacher - Mensajes en español
+// Same keys as locales/en.js; a missing key falls back to English.
+
+MESSAGE_CATALOGS.es = {
+    // Page, search and view options
+    'app.title': 'Finance Teacher',
+    'app.subtitle': 'Aprende sobre empresas y descubre la historia detrás de los números.',
+    'app.language': 'Idioma',
+    'app.footer': 'Datos de Financial Modeling Prep — Solo para uso educativo, no es asesoramiento de inversión.',
+    'search.heading': 'Escribe el símbolo bursátil',
+    'search.description': 'Busca una empresa que cotiza en bolsa para analizar sus resultados financieros, o escribe de 2 a 4 símbolos separados por comas para compararlas',
+    'search.placeholder': 'Prueba: AAPL o apple — o compara: TSLA, MSFT',
+    'search.suggestions': 'Empresas que coinciden',
+    'search.button': 'Buscar',
+    'search.refresh': 'Actualizar datos',
+    'search.refreshTitle': 'Ignorar los datos guardados y descargar los números más recientes',
+    'search.print': 'Imprimir informe',
+    'search.printTitle': 'Imprimir el encabezado de la empresa, cada gráfico y sus etiquetas en una página',
+    'search.hint': 'Escribe un símbolo o el nombre de una empresa. El plan gratuito incluye: AAPL, TSLA, AMZN, MSFT, GOOGL, META, NVDA, NFLX',
+    'search.sampleSymbols': 'Datos de ejemplo disponibles para: {symbols}',
+    'search.loading': 'Cargando datos financieros...',
+    'range.group': 'Periodo de precios',
+    'range.1M': '1M',
+    'range.1MLabel': '1 mes',
+    'range.6M': '6M',
+    'range.6MLabel': '6 meses',
+    'range.YTD': 'Año',
+    'range.YTDLabel': 'En lo que va del año',
+    'range.1Y': '1A',
+    'range.1YLabel': '12 meses',
+    'range.5Y': '5A',
+    'range.5YLabel': '5 años',
+    'range.MAX': 'Máx',
+    'range.MAXLabel': 'Todo el historial disponible',
+    'reporting.group': 'Periodo del informe',
+    'reporting.quarter': 'Trimestral',
+    'reporting.annual': 'Anual',
+    'reporting.ttm': 'Últ. 12 meses',
+    'periods.group': 'Número de periodos',
+    'periods.quarters': '{count}T',
+    'periods.years': '{count}A',
+    'periods.axisAnnual': 'Últimos {periods} años fiscales',
+    'periods.axisTtm': 'Últimos doce meses, últimos {periods} trimestres',
+    'periods.axisQuarter': 'Últimos {periods} trimestres publicados',
+    'periods.axisCalendarQuarters': 'Trimestres naturales',
+    'periods.axisCalendarYears': 'Años fiscales (por año de cierre)',
+    'periods.spanQuarter': 'Suma de los últimos {periods} trimestres',
+    'periods.spanAnnual': 'Suma de los últimos {periods} años fiscales',
+    'periods.spanTtm': 'Últimos doce meses',
+    'periods.label': '{period} {year}',
+    'periods.Q1': 'T1',
+    'periods.Q2': 'T2',
+    'periods.Q3': 'T3',
+    'periods.Q4': 'T4',
+    'periods.FY': 'AF',
+    'periods.ttmLabel': '12M {period}',
+    'company.listing': 'Bolsa: {exchange} • Moneda: {currency}',
+    'company.comparing': 'Comparando {count} empresas',
+    'company.compareColors': 'Cada empresa mantiene el mismo color en todos los gráficos de abajo.',
+    'provider.offlineNotice': 'Modo sin conexión: se muestran datos de ejemplo ilustrativos, no cifras reales de empresas.',
+
+    // Errors
+    'errors.emptyTicker': 'Escribe un símbolo bursátil',
+    'errors.compareLimit': 'El modo comparar funciona con 2 a {max} empresas a la vez.',
+    'errors.fetchFailed': 'No se pudieron obtener los datos. Inténtalo de nuevo.',
+    'errors.rateLimit': 'Se superó el límite de solicitudes. Espera un momento e inténtalo de nuevo.',
+    'errors.auth': 'Esta función requiere una suscripción de pago a Financial Modeling Prep.',
+    'errors.noData': 'No hay datos para este símbolo. Prueba con otra empresa.',
+    'errors.noSampleData': 'No hay datos de ejemplo para este símbolo. Empieza a escribir el nombre de una empresa para ver cuáles hay.',
+    'errors.invalidTicker': 'Símbolo no válido. Revisa el símbolo e inténtalo de nuevo.',
+    'errors.notACompany': 'Esto es un fondo o ETF, no una sola empresa. Los fondos tienen muchas empresas, así que no hay una cuenta de resultados que graficar.',
+    'errors.invalidAssignment': 'Ese archivo no es una tarea de Finance Teacher o no nombra ninguna empresa. Pide a tu profesor una copia nueva.',
+    'errors.assignmentNotFound': 'El enlace de la tarea no lleva a un archivo de tarea. Revisa el enlace con tu profesor.',
+    'errors.proxy': 'El servicio de datos no está bien configurado. Avisa a tu profesor.',
+    'errors.unavailable': 'El servicio de datos no está disponible por ahora. Inténtalo más tarde.',
+    'errors.forTicker': '{ticker}: {message}',
+    'errors.dailyLimit': 'Ya usaste las búsquedas de hoy en este dispositivo. Podrás buscar de nuevo en {wait}.',
+    'errors.sharedQuota': 'La clase ya usó los datos compartidos de hoy. Las búsquedas vuelven en {wait}.',
+    'errors.shortLimit': 'Demasiadas búsquedas en poco tiempo. Podrás buscar de nuevo en {wait}.',
+    'errors.waitHours': '{hours} h {minutes} min',
+
+    // Chart cards
+    'cards.explain': 'Explicar este gráfico',
+    'cards.notMeaningful': 'Sin sentido',
+    'cards.dataAsOf': 'Datos a {time}',
+    'cards.price.title': 'Precio de la acción ({range})',
+    'cards.price.compareTitle': 'Evolución del precio ({range})',
+    'cards.price.label': 'Los precios de las acciones se mueven como una montaña rusa: ¡las bajadas cortas son normales! Los rombos marcan los informes de resultados: pasa el cursor por uno para ver cómo reaccionó la acción.',
+    'cards.price.compareLabel': 'Todas las líneas empiezan en 100, así puedes comparar el crecimiento: 120 significa que la acción subió un 20 %, 80 que bajó un 20 %.',
+    'cards.price.close': 'Precio de la acción',
+    'cards.price.sma50': 'Media de 50 días',
+    'cards.price.sma200': 'Media de 200 días',
+    'cards.price.peak': 'Cierre más alto hasta ahora',
+    'cards.price.volume': 'Volumen',
+    'cards.fundamentals.title': 'Fundamentales de la empresa',
+    'cards.fundamentals.compareTitle': 'Fundamentales de la empresa ({span})',
+    'cards.fundamentals.label': 'Una empresa sostenible gana más de lo que gasta.',
+    'cards.fundamentals.compareLabel': 'Las empresas más grandes tienen barras más altas: compara qué parte de los ingresos de cada una se convierte en beneficio.',
+    'cards.fundamentals.seasonality': '<strong>¿Por qué algunos trimestres suben y bajan tanto?</strong> Muchos negocios son estacionales. Las tiendas en línea como Amazon venden mucho más en el trimestre de las fiestas (octubre–diciembre) que en primavera, así que una caída justo después de las fiestas es normal, no una señal de problemas. Compara un trimestre con el mismo trimestre del año anterior, o cambia a <em>Últ. 12 meses</em> para suavizar las temporadas.',
+    'cards.fundamentals.revenue': 'Ingresos',
+    'cards.fundamentals.expenses': 'Gastos',
+    'cards.fundamentals.profit': 'Beneficio neto',
+    'cards.cashFlow.title': 'Flujo de caja',
+    'cards.cashFlow.compareTitle': 'Flujo de caja ({span})',
+    'cards.cashFlow.label': 'El beneficio es lo que cuentan los contables. La caja es lo que de verdad llega al banco.',
+    'cards.cashFlow.compareLabel': 'El flujo de caja libre es el dinero que queda después de pagar para operar y hacer crecer el negocio.',
+    'cards.cashFlow.tooltipTitle': '¿Por qué el beneficio no es lo mismo que la caja?',
+    'cards.cashFlow.tooltip': '<p>El <strong>flujo de caja operativo</strong> es el dinero que el negocio cobró de verdad menos el que pagó para funcionar.</p><p>Las <strong>inversiones de capital</strong> son dinero gastado en cosas que duran, como fábricas, tiendas y computadoras.</p><p>El <strong>flujo de caja libre</strong> es lo que queda: flujo de caja operativo menos inversiones de capital.</p><br><p><strong>¿Cómo puede quedarse sin dinero una empresa con beneficios?</strong></p><p>• Una venta cuenta como beneficio el día que ocurre, aunque el cliente pague meses después</p><p>• Los productos guardados en un almacén costaron dinero pero aún no se han vendido</p><p>• Una empresa que crece puede gastar en edificios nuevos más de lo que gana</p><p>Las facturas se pagan con dinero, no con beneficios; por eso las empresas vigilan las dos cosas.</p>',
+    'cards.cashFlow.operating': 'Flujo de caja operativo',
+    'cards.cashFlow.capex': 'Inversiones de capital',
+    'cards.cashFlow.free': 'Flujo de caja libre',
+    'cards.cashFlow.netIncome': 'Beneficio neto',
+    'cards.cashFlow.calloutTitle': 'El beneficio y la caja cuentan historias distintas.',
+    'cashFlow.subject': 'En {period}, la empresa',
+    'cashFlow.subjectTicker': '{ticker} en {period}',
+    'cashFlow.cashBehind': '{subject} declaró {profit} de beneficio pero su negocio solo generó {cash} de caja. Las ventas cuentan como beneficio cuando se hacen, pero el dinero solo llega cuando los clientes pagan: puede quedarse atascado en facturas sin cobrar e inventario sin vender.',
+    'cashFlow.lossWithCash': '{subject} perdió {loss} sobre el papel, pero su negocio aun así generó {cash} de caja. Algunos gastos, como el desgaste de los equipos (depreciación), reducen el beneficio sin que salga dinero.',
+    'cashFlow.cashAhead': '{subject} generó {cash} de caja con su negocio, más del doble de sus {profit} de beneficio. Los gastos que no usan dinero, como la depreciación, o los clientes que pagan por adelantado pueden hacer que la caja supere al beneficio.',
+    'cards.balance.title': 'Balance',
+    'cards.balance.compareTitle': 'Balance (más reciente)',
+    'cards.balance.label': 'Todo lo que una empresa posee (activos) se pagó con dinero prestado (pasivos) o con el dinero de los dueños (patrimonio).',
+    'cards.balance.compareLabel': 'Un balance es una foto del momento, así que cada empresa muestra el más reciente. Fíjate en cuánto de cada barra es deuda.',
+    'cards.balance.ratios': 'La relación deuda/patrimonio compara el dinero prestado con el de los dueños: por encima de 2x la empresa depende mucho de la deuda. Una liquidez corriente por debajo de 1x significa que este año debe más de lo que tiene en efectivo y activos a corto plazo.',
+    'cards.balance.snapshotNote': '<strong>Los balances son fotos de un momento:</strong> cada barra es lo que la empresa tenía y debía el último día de ese trimestre, así que no hay nada que sumar en doce meses. La vista de 12 meses muestra las mismas cifras de cierre de trimestre.',
+    'cards.balance.ratioAxis': 'Ratio',
+    'cards.balance.liabilities': 'Pasivos (lo que debe)',
+    'cards.balance.equity': 'Patrimonio neto (lo propio)',
+    'cards.balance.debtToEquity': 'Deuda/patrimonio',
+    'cards.balance.currentRatio': 'Liquidez corriente',
+    'cards.pe.title': 'Ratio precio/beneficio (PER)',
+    'cards.pe.label': 'Cuando esta línea está alta, los inversores pagan más por cada 1 $ de beneficio. Cuando está baja, la acción podría estar \'de oferta\'.',
+    'cards.pe.tooltipTitle': '¿Qué es el PER?',
+    'cards.pe.tooltip': '<p><strong>Piénsalo así:</strong></p><p>Si compraras hoy la empresa entera, ¿cuántos años tardarías en recuperar tu dinero?</p><br><p><strong>Cómo se calcula:</strong></p><p>• Toma el precio de la acción (lo que pagas por 1 acción)</p><p>• Divídelo entre el beneficio por acción (el beneficio por acción de los últimos 12 meses)</p><p>• ¡Ese es tu PER!</p><br><p><strong>Qué significa:</strong></p><p>• PER de 15 = tardas 15 años en recuperar tu inversión</p><p>• PER más bajo = acción más barata (¡quizá esté de oferta!)</p><p>• PER más alto = más cara (la gente cree que crecerá rápido)</p>',
+    'cards.pe.series': 'PER',
+    'cards.pe.peerLabel': 'PER',
+    'cards.pe.losingMoney': '{ticker} (sin PER mientras pierde dinero)',
+    'cards.pe.noProfit': 'Sin beneficio',
+    'cards.roe.title': 'Rentabilidad sobre el patrimonio (ROE)',
+    'cards.roe.label': 'Muestra lo buena que es la empresa convirtiendo su dinero en más dinero.',
+    'cards.roe.tooltipTitle': '¿Qué es la rentabilidad sobre el patrimonio (ROE)?',
+    'cards.roe.tooltip': '<p>El <strong>patrimonio</strong> es el dinero que pertenece a los dueños de la empresa. El ROE muestra cuánto beneficio obtuvo la empresa con ese dinero. Si el ROE es del 15 %, por cada 100 $ que pusieron los dueños, la empresa ganó 15 $.</p>',
+    'cards.roe.series': 'ROE %',
+    'cards.roe.peerLabel': 'ROE',
+    'cards.roe.good': 'Bueno ({value})',
+    'cards.roe.great': 'Muy bueno ({value})',
+    'cards.roe.exceptional': 'Excepcional ({value})',
+    'cards.margin.title': 'Margen de beneficio neto',
+    'cards.margin.label': 'Cuántos céntimos de cada 1 $ de ventas se queda la empresa como beneficio.',
+    'cards.margin.tooltipTitle': '¿Qué es el margen de beneficio neto?',
+    'cards.margin.tooltip': '<p>El <strong>margen neto</strong> es el beneficio neto dividido entre los ingresos. Un margen del 20 % significa que la empresa se queda 20 $ de beneficio por cada 100 $ que vende, después de pagarlo todo.</p><br><p>Los márgenes dependen mucho del negocio: un supermercado puede quedarse 2 céntimos de cada dólar mientras que una empresa de software se queda 30. Por eso la línea discontinua muestra la mediana de empresas parecidas.</p>',
+    'cards.margin.series': 'Margen neto %',
+    'cards.margin.peerLabel': 'Margen neto',
+    'earnings.reported': 'Resultados de {period}, publicados el {date}',
+    'earnings.revenue': 'Ingresos: {revenue}',
+    'earnings.eps': 'BPA: {eps}',
+    'earnings.reaction': 'Siguientes {days} sesiones: {move}',
+    'earnings.tooSoon': 'aún no hay suficientes sesiones',
+
+    // Price chart overlays
+    'overlays.group': 'Capas del gráfico',
+    'overlays.sma50': 'Media 50 días',
+    'overlays.sma50Note': '<strong>Media móvil de 50 días:</strong> el precio de cierre promedio de las últimas 50 sesiones, unas diez semanas. Suaviza los altibajos diarios para que la dirección del recorrido se vea mejor.',
+    'overlays.sma200': 'Media 200 días',
+    'overlays.sma200Note': '<strong>Media móvil de 200 días:</strong> el promedio de las últimas 200 sesiones, unos diez meses. Un precio por encima significa que la acción ha subido a largo plazo; muchos inversores vigilan cuándo la línea de 50 días la cruza.',
+    'overlays.volume': 'Volumen',
+    'overlays.volumeNote': '<strong>Volumen:</strong> cuántas acciones cambiaron de manos cada día, en el panel bajo el precio. Las barras altas suelen coincidir con noticias como un informe de resultados. Un gran movimiento con mucho volumen significa que muchos inversores estaban de acuerdo.',
+    'overlays.drawdown': 'Caída',
+    'overlays.drawdownNote': '<strong>Caída desde el máximo:</strong> el área roja entre el precio y su cierre más alto hasta ese momento en este periodo. Su profundidad es cuánto ha caído la acción desde su pico: las bajadas de la montaña rusa, medidas.',
+
+    // Peer benchmarks
+    'peers.median': 'Mediana del grupo ({value})',
+    'peers.loading': 'vs. similares: buscando empresas parecidas…',
+    'peers.sector': 'sector {name}',
+    'peers.noValue': 'vs. similares: {ticker} no tiene {label} en los últimos cuatro trimestres, así que no se puede comparar con {group}.',
+    'peers.noPeerValues': 'vs. similares: ninguna de {group} tiene un {label} con sentido para comparar.',
+    'peers.badge': 'vs. similares: percentil {percentile} — {label} de {value} en los últimos cuatro trimestres frente a una mediana de {median} para {group}.',
+
+    // Chart stories (narrative.js)
+    'narrative.priceUp': 'subió un {percent}',
+    'narrative.priceDown': 'bajó un {percent}',
+    'narrative.priceFlat': 'se mantuvo más o menos igual',
+    'narrative.amountUp': 'crecieron un {percent}',
+    'narrative.amountDown': 'bajaron un {percent}',
+    'narrative.amountFlat': 'se mantuvieron más o menos igual',
+    'narrative.profitUp': 'creció',
+    'narrative.profitDown': 'se redujo',
+    'narrative.profitFlat': 'se mantuvo más o menos igual',
+    'narrative.price.change': 'Entre {from} y {to} la acción {change}, de {first} a {last}.',
+    'narrative.price.nearHigh': 'Cotiza en su precio más alto de este periodo o cerca de él.',
+    'narrative.price.fellFromHigh': 'La acción cayó un {percent} desde su máximo de {month}.',
+    'narrative.price.dip': 'Está un {percent} por debajo de su máximo de {month}: una bajada normal.',
+    'narrative.fundamentals.so': 'Entre {from} y {to} los ingresos {revenue} mientras que los gastos {expenses}, así que el beneficio {profit}.',
+    'narrative.fundamentals.and': 'Entre {from} y {to} los ingresos {revenue} mientras que los gastos {expenses}, y el beneficio {profit}.',
+    'narrative.fundamentals.toProfit': 'Pasó de pérdidas en {from} a beneficios en {to}.',
+    'narrative.fundamentals.toLoss': 'Pasó de beneficios en {from} a pérdidas en {to}.',
+    'narrative.fundamentals.loss': 'En {period} la empresa perdió {loss}: gastó más de lo que ganó.',
+    'narrative.fundamentals.kept': 'En {period} se quedó con el {percent} de sus ingresos como beneficio ({profit}).',
+    'narrative.cashFlow.kept': 'En {period} el negocio generó {operating} de caja, gastó {capex} en cosas que duran y se quedó con {free} de flujo de caja libre.',
+    'narrative.cashFlow.usedUp': 'En {period} la empresa gastó {amount} más de lo que generó su negocio, después de pagar las cosas que duran.',
+    'narrative.cashFlow.allPositive': 'El flujo de caja libre fue positivo en todos los periodos mostrados.',
+    'narrative.cashFlow.allNegative': 'El flujo de caja libre fue negativo en todos los periodos mostrados, así que la empresa depende del dinero que ya tiene o que consigue.',
+    'narrative.cashFlow.someNegative': 'El flujo de caja libre fue negativo en {negative} de los {total} periodos mostrados.',
+    'narrative.balance.negativeEquity': 'Al cierre de {period} la empresa debía más de lo que poseía, así que su patrimonio neto era negativo ({equity}).',
+    'narrative.balance.assets': 'Al cierre de {period} la empresa tenía {assets} en activos: el {borrowed} pagado con dinero prestado y el {owned} por sus dueños.',
+    'narrative.balance.debtFlat': 'La relación deuda/patrimonio se mantuvo más o menos igual en {value}x.',
+    'narrative.balance.debtUp': 'La relación deuda/patrimonio subió de {from}x a {to}x.',
+    'narrative.balance.debtDown': 'La relación deuda/patrimonio bajó de {from}x a {to}x.',
+    'narrative.balance.currentLow': 'Su liquidez corriente de {value}x significa que las facturas que vencen en un año superan su efectivo y sus activos a corto plazo.',
+    'narrative.balance.currentOk': 'Su liquidez corriente de {value}x significa que tiene suficientes activos a corto plazo para cubrir las facturas que vencen en un año.',
+    'narrative.pe.neverMeaningful': 'La empresa perdió dinero en el último año en todos los periodos mostrados, así que su PER no tiene sentido.',
+    'narrative.pe.flat': 'El PER se mantuvo más o menos igual en {value}.',
+    'narrative.pe.up': 'El PER subió de {from} en {first} a {to} en {last}, así que los inversores pagan más por cada 1 $ de beneficio.',
+    'narrative.pe.down': 'El PER bajó de {from} en {first} a {to} en {last}, así que cada 1 $ de beneficio cuesta menos que antes.',
+    'narrative.pe.meaning': 'Un PER de {value} significa que los inversores pagan unos {value} $ por cada 1 $ de beneficio anual.',
+    'narrative.pe.someNotMeaningful': 'En {count} de los periodos mostrados la empresa perdió dinero, así que ahí el PER no tiene sentido.',
+    'narrative.roe.negative': 'El ROE fue negativo ({value}) en {period}: la empresa perdió dinero con la inversión de sus dueños.',
+    'narrative.roe.latest': 'El ROE fue del {value} en {period}{benchmark}.',
+    'narrative.roe.veryHigh': 'Un ROE tan alto suele significar que el patrimonio es pequeño (por ejemplo, tras años de recomprar acciones), no que la empresa sea muchas veces mejor que las demás.',
+    'narrative.margin.negative': 'El margen neto fue del {value} en {period}: la empresa gastó más de lo que obtuvo con sus ventas.',
+    'narrative.margin.latest': 'El margen neto fue del {value} en {period}{benchmark}: se quedó unos {cents} céntimos de cada 1 $ de ventas como beneficio.',
+    'narrative.upFrom': 'Es más que el {value} de {period}.',
+    'narrative.downFrom': 'Es menos que el {value} de {period}.',
+    'narrative.aboveLine': ', por encima de la línea \'{label}\'',
+    'narrative.belowLine': ', por debajo de la línea \'{label}\'',
+
+    // Quiz (quiz.js)
+    'quiz.heading': 'Comprueba lo que entendiste: {ticker}',
+    'quiz.intro': 'Todas las respuestas están en los gráficos de arriba. Míralos y elige una.',
+    'quiz.score': '¡Acertaste {score} de {total}!',
+    'quiz.progress': '{answered} de {total} respondidas: {score} correctas por ahora',
+    'quiz.correct': '¡Correcto!',
+    'quiz.incorrect': 'No exactamente.',
+    'quiz.seeChart': 'Ver el gráfico',
+    'quiz.history': 'Tus cuestionarios recientes',
+    'quiz.historyItem': '{ticker}: {score} de {total} — {date}',
+    'quiz.yes': 'Sí',
+    'quiz.no': 'No',
+    'quiz.netIncome.prompt': '¿En qué periodo fue más alto el beneficio neto?',
+    'quiz.netIncome.tallest': 'Mira las barras verdes de beneficio neto en el gráfico de fundamentales: la más alta es {period}, con {profit}.',
+    'quiz.netIncome.smallestLoss': 'La empresa perdió dinero en todos los periodos, así que todas las barras verdes de beneficio neto apuntan hacia abajo. El "más alto" es la pérdida más pequeña, la barra más cercana a cero: {period}, con {profit}.',
+    'quiz.price.prompt': 'En todo el gráfico del precio, ¿terminó el precio más alto o más bajo que al principio?',
+    'quiz.price.higher': 'Más alto',
+    'quiz.price.lower': 'Más bajo',
+    'quiz.price.up': 'La línea empieza en {first} a la izquierda y termina en {last} a la derecha, un {percent} más. Los altibajos de en medio no cambian dónde terminó.',
+    'quiz.price.down': 'La línea empieza en {first} a la izquierda y termina en {last} a la derecha, un {percent} menos. Los altibajos de en medio no cambian dónde terminó.',
+    'quiz.pe.notMeaningfulPrompt': '¿Por qué el gráfico del PER muestra "{label}" en lugar de una línea?',
+    'quiz.pe.lostMoney': 'La empresa perdió dinero, así que no hay beneficios entre los que dividir',
+    'quiz.pe.priceZero': 'El precio de la acción era cero',
+    'quiz.pe.yearly': 'El PER solo se calcula una vez al año',
+    'quiz.pe.notMeaningfulExplanation': 'El PER es el precio dividido entre el beneficio por acción. Los recuadros rojos marcan periodos en los que el beneficio de los últimos doce meses fue cero o negativo, así que el ratio no significaría nada.',
+    'quiz.pe.prompt': '¿El PER subió o bajó de {first} a {last}?',
+    'quiz.pe.up': 'Subió',
+    'quiz.pe.down': 'Bajó',
+    'quiz.pe.same': 'Se mantuvo más o menos igual',
+    'quiz.pe.explanation': 'En el gráfico del PER la línea va de {from} en {first} a {to} en {last}. {meaning}',
+    'quiz.pe.paysMore': 'Ahora los inversores pagan más por cada 1 $ de beneficio.',
+    'quiz.pe.paysLess': 'Ahora cada 1 $ de beneficio les cuesta menos a los inversores.',
+    'quiz.pe.paysSame': 'Los inversores pagan más o menos lo mismo por cada 1 $ de beneficio.',
+    'quiz.roe.prompt': '¿Está el ROE de {period} por encima de la línea \'{label}\'?',
+    'quiz.roe.above': 'La barra de {period} en el gráfico del ROE llega al {value}, por encima de la línea discontinua \'{label}\'.',
+    'quiz.roe.below': 'La barra de {period} en el gráfico del ROE llega al {value}, por debajo de la línea discontinua \'{label}\'.',
+    'quiz.cashFlow.prompt': 'En {period}, ¿el flujo de caja libre fue positivo o negativo?',
+    'quiz.cashFlow.positive': 'Positivo: sobró dinero',
+    'quiz.cashFlow.negative': 'Negativo: salió más dinero del que entró',
+    'quiz.cashFlow.above': 'En el gráfico de flujo de caja la barra verde de flujo de caja libre de {period} está por encima de cero, en {free}: flujo de caja operativo ({operating}) menos inversiones de capital ({capex}).',
+    'quiz.cashFlow.below': 'En el gráfico de flujo de caja la barra verde de flujo de caja libre de {period} está por debajo de cero, en {free}: flujo de caja operativo ({operating}) menos inversiones de capital ({capex}).',
+    'quiz.balance.prompt': 'Al cierre de {period}, ¿qué era mayor: los pasivos o el patrimonio neto?',
+    'quiz.balance.liabilities': 'Pasivos (lo que debe)',
+    'quiz.balance.equity': 'Patrimonio neto (lo que es de los dueños)',
+    'quiz.balance.explanation': 'En la barra de {period} del gráfico del balance, la parte roja de pasivos es {liabilities} y la parte verde de patrimonio es {equity}.',
+
+    // What-if calculator (what-if.js)
+    'whatIf.heading': '¿Y si hubiera invertido…?',
+    'whatIf.intro': 'Elige una cantidad y una fecha de inicio, o haz clic en un punto del gráfico del precio para empezar ahí.',
+    'whatIf.amount': 'Cantidad',
+    'whatIf.amountIn': 'Cantidad ({currency})',
+    'whatIf.startDate': 'Fecha de inicio',
+    'whatIf.reinvest': 'Reinvertir dividendos',
+    'whatIf.monthly': 'Comparar con invertir cada mes',
+    'whatIf.calculate': 'Calcular',
+    'whatIf.amountError': 'Escribe una cantidad mayor que {zero}.',
+    'whatIf.dateError': 'Elige una fecha de inicio entre el {first} y el {last}.',
+    'whatIf.summary': '{amount} invertidos en {ticker} el {entryDate} a {price} por acción valdrían {value} el {exitDate}.',
+    'whatIf.finalValue': 'Valor final',
+    'whatIf.totalReturn': 'Rentabilidad total',
+    'whatIf.annualized': 'Por año (anualizada)',
+    'whatIf.underAYear': 'Menos de 1 año',
+    'whatIf.annualizedNote': 'La rentabilidad anualizada es el crecimiento constante por año que convertiría {amount} en {value} en el mismo tiempo.',
+    'whatIf.dividendsMissing': 'Los datos de dividendos no están disponibles ahora, así que este cálculo no los incluye.',
+    'whatIf.dividendsReinvested': '{ticker} pagó {cash} en dividendos por el camino. Usarlos para comprar {shares} acciones más está incluido en el valor final.',
+    'whatIf.noDividends': '{ticker} no pagó dividendos en este tiempo, así que no había nada que reinvertir.',
+    'whatIf.monthlyResult': 'Invertir {installment} cada mes ({purchases} compras) valdría {value}, una rentabilidad de {return}. {verdict}',
+    'whatIf.lumpSumWon': 'Invertirlo todo de una vez salió mejor: el dinero invertido antes tuvo más tiempo para crecer.',
+    'whatIf.monthlyWon': 'Invertir cada mes salió mejor: las compras posteriores consiguieron acciones a precios más bajos.',
+    'whatIf.entryLabel': 'Inviertes {amount}',
+
+    // Paper trading (portfolio.js)
+    'portfolio.heading': 'Inversión simulada',
+    'portfolio.intro': 'Practica a invertir con {cash} de dinero ficticio. Compra y vende las empresas que buscaste a precios de cierre reales de cualquier fecha del gráfico.',
+    'portfolio.company': 'Empresa',
+    'portfolio.date': 'Fecha',
+    'portfolio.shares': 'Acciones',
+    'portfolio.buy': 'Comprar',
+    'portfolio.sell': 'Vender',
+    'portfolio.price': 'a {price} por acción',
+    'portfolio.exportCsv': 'Descargar operaciones (CSV)',
+    'portfolio.exportJson': 'Descargar cuenta (JSON)',
+    'portfolio.side': 'Compra o venta',
+    'portfolio.sideBuy': 'Compra',
+    'portfolio.sideSell': 'Venta',
+    'portfolio.tradePrice': 'Precio',
+    'portfolio.reset': 'Empezar de nuevo',
+    'portfolio.resetConfirm': '¿Empezar de nuevo con {cash} y sin operaciones? No se puede deshacer.',
+    'portfolio.notEnoughCash': 'No tienes suficiente dinero para eso. Tienes {cash} para gastar.',
+    'portfolio.notEnoughShares': 'Solo puedes vender acciones que tengas.',
+    'portfolio.invalidShares': 'Escribe un número entero de acciones, 1 o más.',
+    'portfolio.tradeBeforeLast': 'Tu última operación fue el {date}. Elige esa fecha o una posterior: ¡no se puede viajar al pasado!',
+    'portfolio.noPrice': 'Todavía no hay precio de cierre para esa fecha. Elige una fecha del gráfico del precio.',
+    'portfolio.foreignCurrency': '{ticker} cotiza en {currency}, pero tu dinero ficticio está en {cash}. Solo puedes operar con empresas que coticen en {cash}.',
+    'portfolio.tradeFailed': 'Esa operación no funcionó. Inténtalo de nuevo.',
+    'portfolio.cash': 'Efectivo',
+    'portfolio.holdings': 'Valor de las acciones',
+    'portfolio.total': 'Valor total',
+    'portfolio.gain': 'Ganancia / pérdida',
+    'portfolio.empty': 'Aún no hay operaciones. Elige una empresa y una fecha, y pulsa Comprar.',
+    'portfolio.averageCost': 'Coste medio',
+    'portfolio.latestPrice': 'Último precio',
+    'portfolio.value': 'Valor',
+    'portfolio.unrealized': 'No realizada',
+    'portfolio.unrealizedTitle': 'Ganancia o pérdida de las acciones que aún tienes',
+    'portfolio.realized': 'Realizada',
+    'portfolio.realizedTitle': 'Ganancia o pérdida asegurada al vender',
+    'portfolio.chartLabel': 'Valor de la cartera',
+    'portfolio.startingCash': 'Dinero inicial',
+
+    // Watchlist
+    'watchlist.on': '★ En tu lista de seguimiento',
+    'watchlist.full': 'La lista de seguimiento está llena',
+    'watchlist.add': '☆ Añadir a la lista de seguimiento',
+    'watchlist.heading': 'Mi lista de seguimiento',
+    'watchlist.intro': 'Tus empresas guardadas de un vistazo. Haz clic en una para ver todos sus gráficos.',
+    'watchlist.open': 'Abrir {ticker}',
+    'watchlist.remove': 'Quitar de la lista de seguimiento',
+    'watchlist.waiting': 'Esperando para cargar…',
+    'watchlist.loading': 'Cargando…',
+    'watchlist.rateLimitWait': 'Esperando {seconds} s por el límite de datos…',
+    'watchlist.rateLimit': 'Se alcanzó el límite de datos; inténtalo más tarde.',
+    'watchlist.noData': 'No hay datos disponibles',
+    'watchlist.change': '{change} 1 a',
+    'watchlist.figures': '{label}: ingresos {revenue}, beneficio neto {netIncome}',
+
+    // Downloads and printed report
+    'exports.group': 'Descargar este gráfico',
+    'exports.download': 'Descargar:',
+    'exports.notMeaningful': '{label} no significativo',
+    'exports.units.price': ' ({currency})',
+    'exports.units.billions': ' (miles de millones de {currency})',
+    'exports.units.percent': ' (%)',
+    'exports.units.shares': ' (acciones)',
+    'exports.units.multiple': ' (x)',
+    'exports.units.ownCurrency': 'moneda propia',
+    'exports.reportTitle': 'Finance Teacher — Informe de la empresa — {date}',
+    'exports.reportFooter': 'Solo con fines educativos, no es asesoramiento de inversión.',
+
+    // Assignments
+    'assignment.create': 'Crear una tarea',
+    'assignment.openFile': 'Abrir un archivo de tarea',
+    'assignment.defaultTitle': 'Tarea',
+    'assignment.editorHeading': 'Crear una tarea',
+    'assignment.editorIntro': 'Elige las empresas, la vista y los gráficos, añade tus propias etiquetas y preguntas y descarga el archivo para tus estudiantes.',
+    'assignment.title': 'Título',
+    'assignment.titlePlaceholder': 'Gigantes del streaming',
+    'assignment.instructions': 'Instrucciones',
+    'assignment.instructionsPlaceholder': 'Compara las dos empresas y responde a las preguntas.',
+    'assignment.companies': 'Empresas',
+    'assignment.priceRange': 'Rango de precios',
+    'assignment.periods': 'Periodos',
+    'assignment.reporting': 'Informes',
+    'assignment.charts': 'Gráficos que se muestran, con una etiqueta propia opcional',
+    'assignment.defaultLabel': 'Predeterminada: {label}',
+    'assignment.questions': 'Preguntas',
+    'assignment.addQuestion': 'Añadir una pregunta',
+    'assignment.preview': 'Probar como estudiante',
+    'assignment.download': 'Descargar la tarea',
+    'assignment.close': 'Cerrar',
+    'assignment.generalQuestion': 'Pregunta general',
+    'assignment.questionPlaceholder': '¿Qué empresa convirtió una parte mayor de sus ingresos en beneficio?',
+    'assignment.removeQuestion': 'Quitar esta pregunta',
+    'assignment.noCharts': 'Elige al menos un gráfico para mostrar.',
+    'assignment.invalidTickers': 'Escribe de 1 a {max} símbolos bursátiles, separados por comas.',
+    'assignment.leave': 'Salir de la tarea',
+    'assignment.heading': 'Tarea: {title}',
+    'assignment.cardQuestion': 'Hay una pregunta más junto a los gráficos de abajo.',
+    'assignment.cardQuestions': 'Hay {count} preguntas más junto a los gráficos de abajo.',
+    'assignment.asks': 'Tu tarea pregunta:',
+
+    // Ordinal numbers, by Intl.PluralRules ordinal category
+    'ordinal.one': '{number}.º',
+    'ordinal.two': '{number}.º',
+    'ordinal.few': '{number}.º',
+    'ordinal.other': '{number}.º'
+};
@@ -1,109 +1,521 @@
 // Finance Teacher - Main JavaScript Application
-// Using Financial Modeling Prep API
+// Financial data comes from a pluggable provider (see providers/)
 
 // Register Chart.js annotation plugin
 Chart.register(window['chartjs-plugin-annotation']);
 
+// Compare mode: one color per company, from the design system palette
+const COMPARE_COLORS = ['#FFF2CC', '#00CC00', '#CC0000', '#CCCCCC'];
+const MAX_COMPARE_TICKERS = COMPARE_COLORS.length;
+
+// Price chart ranges, measured in calendar time back from the latest close
+const PRICE_RANGES = {
+    '1M': { button: t('range.1M'), label: t('range.1MLabel'), months: 1, unit: 'week' },
+    '6M': { button: t('range.6M'), label: t('range.6MLabel'), months: 6, unit: 'month' },
+    'YTD': { button: t('range.YTD'), label: t('range.YTDLabel'), unit: 'month' },
+    '1Y': { button: t('range.1Y'), label: t('range.1YLabel'), months: 12, unit: 'month' },
+    '5Y': { button: t('range.5Y'), label: t('range.5YLabel'), months: 60, unit: 'year' },
+    'MAX': { button: t('range.MAX'), label: t('range.MAXLabel'), unit: 'year' }
+};
+
+// How many reporting periods (quarters or fiscal years) the statement and metric charts show
+const PERIOD_OPTIONS = [4, 8, 12, 20];
+
+// Quarterly statements, annual statements, or quarters rolled up into trailing twelve months
+const REPORTING_VIEWS = ['quarter', 'annual', 'ttm'];
+const REPORTING_VIEW_LABELS = { quarter: t('reporting.quarter'), annual: t('reporting.annual'), ttm: t('reporting.ttm') };
+
+// Optional extras on the single-company price chart, each with the note shown while it's on
+const PRICE_OVERLAYS = {
+    sma50: { button: t('overlays.sma50'), note: t('overlays.sma50Note') },
+    sma200: { button: t('overlays.sma200'), note: t('overlays.sma200Note') },
+    volume: { button: t('overlays.volume'), note: t('overlays.volumeNote') },
+    drawdown: { button: t('overlays.drawdown'), note: t('overlays.drawdownNote') }
+};
+
+const DEFAULT_VIEW_OPTIONS = { priceRange: '1Y', periods: 4, reporting: 'quarter', overlays: [] };
+
+// Time axis labels for each PRICE_RANGES unit, as Intl.DateTimeFormat options
+const TIME_TICK_FORMATS = {
+    week: { month: 'short', day: 'numeric' },
+    month: { month: 'short', year: 'numeric' },
+    year: { year: 'numeric' }
+};
+
+// Trading days after an earnings report counted in its price reaction
+const EARNINGS_REACTION_DAYS = 3;
+
 class FinanceTeacher {
     constructor() {
-        // Financial Modeling Prep API configuration
-        // Use environment variable from Cloudflare (injected by middleware)
-        this.fmpApiKey = window.FMP_API_KEY;
-        
-        if (!this.fmpApiKey) {
-            console.error('FMP_API_KEY not found. Please set environment variable in Cloudflare Pages.');
-            throw new Error('API key not configured');
-        }
-        this.fmpBaseUrl = 'https://financialmodelingprep.com/stable';
-        
-        // Free tier supported symbols (sample set)
-        this.freeTierSymbols = ['AAPL', 'TSLA', 'AMZN', 'MSFT', 'GOOGL', 'META', 'NVDA', 'NFLX'];
-        
+        // Financial Modeling Prep by default, bundled fixtures with ?provider=fixtures
+        this.provider = createDataProvider();
+
         this.currentTicker = '';
+        this.currentTickers = [];
+        this.viewOptions = this.loadViewOptions();
         this.charts = {};
-        this.peTooltipSetup = false;
+        // Rows behind each card as last drawn, for the CSV and JSON downloads
+        this.cardRows = {};
+        this.autocomplete = null;
+        this.tooltips = null;
+        this.quiz = null;
+        this.whatIf = null;
+        this.watchlist = null;
+        // The assignment pack a student opened, if any
+        this.assignment = null;
+        // The student's view options while an assignment shows the teacher's
+        this.studentViewOptions = null;
+        this.assignmentView = null;
+        this.assignmentEditor = null;
+        this.portfolioPanel = null;
+        // Peer medians for the P/E, ROE and net margin cards, and the company they're drawn for
+        this.peers = null;
+        this.currentCompany = null;
+        // Money on the cards is shown in the currency the companies report in; null when
+        // compared companies report in different ones
+        this.currency = null;
+
+        // Writes the plain-English summary under each card
+        this.narrator = new NarrativeEngine({
+            formatMoney: (billions) => this.formatSignedBillions(billions),
+            formatPrice: (price) => formatCurrency(price, this.currency)
+        });
+        this.quizGenerator = new QuizGenerator({
+            formatMoney: (billions) => this.formatSignedBillions(billions),
+            formatPrice: (price) => formatCurrency(price, this.currency)
+        });
+        this.rateLimitTimer = null;
         
         this.initializeApp();
     }
 
     initializeApp() {
+        // index.html is written in English; the rest of the text is built in the reader's language
+        translatePage();
+        this.renderLanguageSelect();
+
+        // Cards come from the METRIC_CARDS registry, so build them before binding their controls
+        this.renderCardShells();
+        this.whatIf = new WhatIfCalculator({
+            card: document.getElementById('priceCard'),
+            loadDividends: (ticker) => this.provider.getDividends(ticker)
+        });
+        this.quiz = new QuizPanel(document.getElementById('chartsContainer'));
+        this.portfolioPanel = new PortfolioPanel({
+            container: document.getElementById('chartsContainer'),
+            portfolio: new PaperPortfolio(),
+            loadPrices: (ticker, from) => this.provider.getPrices(ticker, { from })
+        });
+        this.tooltips = new GlossaryTooltips();
+        this.watchlist = new Watchlist({
+            container: document.getElementById('watchlist'),
+            loadTile: (ticker) => this.loadWatchlistTile(ticker),
+            onOpen: (ticker) => this.openFromWatchlist(ticker)
+        });
+        this.peers = new PeerBenchmarks({
+            provider: this.provider,
+            loadMetrics: (ticker) => this.loadPeerMetrics(ticker)
+        });
         this.bindEvents();
-        this.loadLastSearchedTicker();
+        this.assignmentView = new AssignmentView({
+            container: document.getElementById('assignmentPanel'),
+            onLeave: () => this.leaveAssignment()
+        });
+        this.assignmentEditor = new AssignmentEditor({
+            container: document.getElementById('assignmentEditor'),
+            cards: METRIC_CARDS.map(card => ({ id: card.id, title: this.getCardTitle(card, false), label: card.label })),
+            onPreview: (pack) => this.startAssignment(pack)
+        });
+        this.showProviderNotice();
+
+        // An assignment link wins over a shared view; otherwise prefill the last search
+        const assignmentUrl = new URLSearchParams(window.location.search).get('assignment');
+        if (assignmentUrl) {
+            this.openAssignment(fetchAssignmentPack(assignmentUrl));
+        } else if (!this.applyUrlState({ history: 'replace' })) {
+            this.loadLastSearchedTicker();
+        }
+    }
+
+    // pack: a promise from fetchAssignmentPack or readAssignmentFile
+    async openAssignment(pack) {
+        this.hideError();
+        try {
+            this.startAssignment(await pack);
+        } catch (error) {
+            console.error('Assignment error:', error);
+            this.handleApiError(error);
+        }
+    }
+
+    startAssignment(pack) {
+        // The teacher's view is only for this assignment; the student's own comes back on leaving
+        // (a second pack opened on top of the first keeps the view from before either)
+        if (!this.assignment) {
+            this.studentViewOptions = { ...this.viewOptions, overlays: [...this.viewOptions.overlays] };
+        }
+
+        this.assignment = pack;
+        this.assignmentEditor.close();
+        this.assignmentView.show(pack);
+
+        Object.assign(this.viewOptions, pack.viewOptions);
+        this.updateRangeSelectors();
+        this.updateCardVisibility();
+
+        const query = pack.tickers.join(', ');
+        document.getElementById('tickerInput').value = query;
+        this.handleSearch({ query });
+    }
+
+    leaveAssignment() {
+        this.assignment = null;
+        this.assignmentView.hide();
+        this.updateCardVisibility();
+
+        if (this.studentViewOptions) {
+            this.viewOptions = this.studentViewOptions;
+            this.studentViewOptions = null;
+            this.updateRangeSelectors();
+        }
+
+        // Drop the pack from the address bar so a reload doesn't open it again
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('assignment')) {
+            params.delete('assignment');
+            const query = this.formatQuery(params);
+            window.history.replaceState(window.history.state, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+        }
+
+        // Back to the regular labels
+        if (this.currentTickers.length > 0) {
+            this.handleSearch({ query: this.currentTickers.join(', ') });
+        }
+    }
+
+    updateCardVisibility() {
+        METRIC_CARDS.forEach(card => {
+            const hidden = this.assignment !== null && !this.assignment.cards.includes(card.id);
+            document.getElementById(`${card.id}Card`).classList.toggle('hidden', hidden);
+        });
+    }
+
+    async showProviderNotice() {
+        if (!this.provider.notice) return;
+
+        const notice = document.getElementById('providerNotice');
+        notice.textContent = this.provider.notice;
+        notice.classList.remove('hidden');
+
+        // The hint under the input lists FMP's free tier; swap in what this provider has
+        const symbols = await this.provider.getSupportedSymbols();
+        document.getElementById('supportedSymbolsHint').textContent = t('search.sampleSymbols', { symbols: symbols.join(', ') });
+    }
+
+    renderLanguageSelect() {
+        const select = document.getElementById('languageSelect');
+        select.innerHTML = Object.entries(LANGUAGES)
+            .map(([code, name]) => `<option value="${code}"${code === LANGUAGE ? ' selected' : ''}>${name}</option>`)
+            .join('');
+        select.addEventListener('change', () => setLanguage(select.value));
+    }
+
+    renderCardShells() {
+        const chartsContainer = document.getElementById('chartsContainer');
+        METRIC_CARDS.forEach(card => chartsContainer.appendChild(this.createCardElement(card)));
+    }
+
+    createCardElement(card) {
+        const section = document.createElement('section');
+        section.className = 'chart-card';
+        section.id = `${card.id}Card`;
+
+        // Registry text is our own markup, never API data, so it can go in as HTML
+        const tooltip = card.tooltip ? `
+            <button class="info-button" data-tooltip="${card.id}Tooltip" aria-expanded="false" aria-label="${t('cards.explain')}">ⓘ</button>
+            <div class="tooltip" id="${card.id}Tooltip" role="tooltip">
+                <div class="tooltip-header">${card.tooltip.title}</div>
+                <div class="tooltip-content">${card.tooltip.html}</div>
+            </div>
+        ` : '';
+        const details = (card.details || [])
+            .map(text => `<p class="educational-label">${text}</p>`)
+            .join('');
+        const note = card.note ? `<p class="educational-note hidden" id="${card.note.id}">${card.note.html}</p>` : '';
+        const peerBadge = card.peers ? `<p class="peer-badge hidden" id="${card.id}PeerBadge"></p>` : '';
+        const callout = card.callout ? `<p class="educational-note hidden" id="${card.id}Callout"></p>` : '';
+
+        section.innerHTML = `
+            <div class="chart-header">
+                <h2>
+                    <span id="${card.id}Title">${this.getCardTitle(card, false)}</span>
+                    ${tooltip}
+                </h2>
+                <p class="educational-label" id="${card.id}Label">${card.label}</p>
+                ${details}
+                ${peerBadge}
+                ${this.createCardControls(card.controls)}
+            </div>
+            <div class="chart-container">
+                <canvas id="${card.id}Chart"></canvas>
+            </div>
+            <div class="card-exports" role="group" aria-label="${t('exports.group')}">
+                <span>${t('exports.download')}</span>
+                <button data-export="csv" data-card="${card.id}">CSV</button>
+                <button data-export="json" data-card="${card.id}">JSON</button>
+                <button data-export="png" data-card="${card.id}">PNG</button>
+            </div>
+            <div class="card-narrative hidden" id="${card.id}Narrative" aria-live="polite"></div>
+            ${note}
+            ${callout}
+            <p class="data-as-of" data-sources="${card.sources.join(' ')}"></p>
+        `;
+        return section;
+    }
+
+    createCardControls(controls) {
+        const selector = (option, label, buttons) => `
+            <div class="range-selector" data-option="${option}" role="group" aria-label="${label}">
+                ${buttons.map(([value, text]) => `<button data-value="${value}">${text}</button>`).join('')}
+            </div>
+        `;
+
+        // Overlays are toggles; their notes are filled in by updateRangeSelectors
+        if (controls === 'price') {
+            return `
+                ${selector('priceRange', t('range.group'), Object.entries(PRICE_RANGES).map(([value, range]) => [value, range.button]))}
+                ${selector('overlays', t('overlays.group'), Object.entries(PRICE_OVERLAYS).map(([value, overlay]) => [value, overlay.button]))}
+                <div class="overlay-notes" id="priceOverlayNotes"></div>
+            `;
+        }
+
+        // Period buttons are relabelled Q or Y by updateRangeSelectors
+        return `
+            <div class="chart-controls">
+                ${selector('reporting', t('reporting.group'), REPORTING_VIEWS.map(view => [view, REPORTING_VIEW_LABELS[view]]))}
+                ${selector('periods', t('periods.group'), PERIOD_OPTIONS.map(count => [count, t('periods.quarters', { count })]))}
+            </div>
+        `;
     }
 
     bindEvents() {
         const searchButton = document.getElementById('searchButton');
+        const refreshButton = document.getElementById('refreshButton');
         const tickerInput = document.getElementById('tickerInput');
 
         searchButton.addEventListener('click', () => this.handleSearch());
-        
-        tickerInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                this.handleSearch();
+        refreshButton.addEventListener('click', () => this.handleSearch({
+            forceRefresh: true,
+            query: this.currentTickers.join(', ')
+        }));
+
+        // Range buttons re-render the current companies; cached data makes this cheap
+        document.querySelectorAll('.range-selector').forEach(selector => {
+            selector.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-value]');
+                if (!button) return;
+                this.setViewOption(selector.dataset.option, button.dataset.value);
+            });
+        });
+        this.updateRangeSelectors();
+
+        window.addEventListener('popstate', () => this.restoreUrlState());
+
+        document.getElementById('chartsContainer').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-export]');
+            if (button) {
+                this.exportCard(button.dataset.card, button.dataset.export);
             }
         });
+        document.getElementById('createAssignmentButton').addEventListener('click', () => this.assignmentEditor.open({
+            tickers: this.currentTickers,
+            viewOptions: this.viewOptions
+        }));
+        document.getElementById('assignmentFile').addEventListener('change', (e) => {
+            const [file] = e.target.files;
+            if (file) {
+                this.openAssignment(readAssignmentFile(file));
+            }
+            // Opening the same file again should still fire change
+            e.target.value = '';
+        });
+        document.getElementById('printButton').addEventListener('click', () => printCompanyReport({
+            header: document.getElementById('companyValidation'),
+            cards: METRIC_CARDS
+        }));
+        
+        // The dropdown owns Enter so it can pick a highlighted suggestion first
+        this.autocomplete = new TickerAutocomplete({
+            input: tickerInput,
+            list: document.getElementById('tickerSuggestions'),
+            provider: this.provider,
+            onSelect: () => this.handleSearch()
+        });
+    }
 
-        // P/E tooltip will be set up after charts are rendered
+    loadViewOptions() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('viewOptions')) || {};
+            return {
+                priceRange: PRICE_RANGES[saved.priceRange] ? saved.priceRange : DEFAULT_VIEW_OPTIONS.priceRange,
+                periods: PERIOD_OPTIONS.includes(saved.periods) ? saved.periods : DEFAULT_VIEW_OPTIONS.periods,
+                reporting: REPORTING_VIEWS.includes(saved.reporting) ? saved.reporting : DEFAULT_VIEW_OPTIONS.reporting,
+                overlays: Array.isArray(saved.overlays) ? saved.overlays.filter(id => PRICE_OVERLAYS[id]) : DEFAULT_VIEW_OPTIONS.overlays
+            };
+        } catch (error) {
+            return { ...DEFAULT_VIEW_OPTIONS };
+        }
     }
 
-    setupPETooltip() {
-        // Prevent duplicate setup
-        if (this.peTooltipSetup) return;
-        
-        setTimeout(() => {
-            const peInfoBtn = document.getElementById('peInfoBtn');
-            const peTooltip = document.getElementById('peTooltip');
-            
-            if (peInfoBtn && peTooltip && !this.peTooltipSetup) {
-                this.peTooltipSetup = true;
-                
-                // Remove any existing event listeners by cloning the element
-                const newBtn = peInfoBtn.cloneNode(true);
-                peInfoBtn.parentNode.replaceChild(newBtn, peInfoBtn);
-                
-                newBtn.addEventListener('mouseenter', () => {
-                    peTooltip.classList.add('show');
-                });
-                
-                newBtn.addEventListener('mouseleave', () => {
-                    peTooltip.classList.remove('show');
-                });
-                
-                // Also set up click for mobile
-                newBtn.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    peTooltip.classList.toggle('show');
-                });
-            } else if (!this.peTooltipSetup) {
-                setTimeout(() => this.setupPETooltip(), 500);
-            }
-        }, 100);
+    setViewOption(option, value) {
+        if (option === 'overlays') {
+            // Switch one overlay on or off, keeping the registry order
+            const overlays = this.viewOptions.overlays;
+            this.viewOptions.overlays = Object.keys(PRICE_OVERLAYS)
+                .filter(id => id === value ? !overlays.includes(id) : overlays.includes(id));
+        } else {
+            this.viewOptions[option] = option === 'periods' ? parseInt(value, 10) : value;
+        }
+        // Changes made inside an assignment last only as long as it does
+        if (!this.assignment) {
+            localStorage.setItem('viewOptions', JSON.stringify(this.viewOptions));
+        }
+        this.updateRangeSelectors();
+
+        if (this.currentTickers.length > 0) {
+            this.handleSearch({ query: this.currentTickers.join(', ') });
+        }
     }
 
-    setupROETooltip() {
-        // Prevent duplicate setup
-        if (this.roeTooltipSetup) return;
-        
-        setTimeout(() => {
-            const roeInfoBtn = document.getElementById('roeInfoBtn');
-            const roeTooltip = document.getElementById('roeTooltip');
-            
-            if (roeInfoBtn && roeTooltip) {
-                console.log('Setting up ROE tooltip...');
-                this.roeTooltipSetup = true;
-                
-                // Create a new button to replace the old one (prevents duplicate listeners)
-                const newBtn = roeInfoBtn.cloneNode(true);
-                roeInfoBtn.parentNode.replaceChild(newBtn, roeInfoBtn);
-                
-                newBtn.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    roeTooltip.classList.toggle('show');
-                });
-            } else if (!this.roeTooltipSetup) {
-                setTimeout(() => this.setupROETooltip(), 500);
-            }
-        }, 100);
+    updateRangeSelectors() {
+        document.querySelectorAll('.range-selector').forEach(selector => {
+            const current = this.viewOptions[selector.dataset.option];
+            selector.querySelectorAll('button[data-value]').forEach(button => {
+                if (Array.isArray(current)) {
+                    button.classList.toggle('active', current.includes(button.dataset.value));
+                    button.setAttribute('aria-pressed', current.includes(button.dataset.value));
+                } else {
+                    button.classList.toggle('active', button.dataset.value === String(current));
+                }
+            });
+        });
+
+        // Registry text, so it can go in as HTML
+        document.getElementById('priceOverlayNotes').innerHTML = this.viewOptions.overlays
+            .map(id => `<p class="educational-note">${PRICE_OVERLAYS[id].note}</p>`)
+            .join('');
+
+        // Period counts read as years in the annual view
+        const key = this.viewOptions.reporting === 'annual' ? 'periods.years' : 'periods.quarters';
+        document.querySelectorAll('.range-selector[data-option="periods"] button').forEach(button => {
+            button.textContent = t(key, { count: button.dataset.value });
+        });
+
+        // Quarter-by-quarter numbers are where seasonality shows up
+        document.getElementById('seasonalityNote').classList.toggle('hidden', this.viewOptions.reporting !== 'quarter');
+        document.getElementById('balanceSnapshotNote').classList.toggle('hidden', this.viewOptions.reporting !== 'ttm');
+    }
+
+    getPeriodsPerYear() {
+        return this.viewOptions.reporting === 'annual' ? 1 : 4;
+    }
+
+    getPeriodAxisTitle(periods, card) {
+        // Uses the number actually shown, which can be fewer than asked for
+        const { reporting } = this.viewOptions;
+        if (reporting === 'annual') {
+            return t('periods.axisAnnual', { periods });
+        }
+        if (reporting === 'ttm' && !card.snapshot) {
+            return t('periods.axisTtm', { periods });
+        }
+        return t('periods.axisQuarter', { periods });
+    }
+
+    // ?tickers=MSFT&range=5Y&periods=8&reporting=annual&overlays=sma50,volume; values that don't
+    // match an option are ignored
+    readUrlState() {
+        const params = new URLSearchParams(window.location.search);
+        const tickers = this.parseTickers((params.get('tickers') || '').toUpperCase());
+        const viewOptions = {};
+
+        if (PRICE_RANGES[params.get('range')]) {
+            viewOptions.priceRange = params.get('range');
+        }
+        const periods = parseInt(params.get('periods'), 10);
+        if (PERIOD_OPTIONS.includes(periods)) {
+            viewOptions.periods = periods;
+        }
+        if (REPORTING_VIEWS.includes(params.get('reporting'))) {
+            viewOptions.reporting = params.get('reporting');
+        }
+        // A link without overlays shows the plain price chart it was shared with
+        if (tickers.length > 0) {
+            viewOptions.overlays = (params.get('overlays') || '').split(',').filter(id => PRICE_OVERLAYS[id]);
+        }
+
+        return { tickers, viewOptions };
+    }
+
+    // Returns false when the URL names no companies
+    applyUrlState({ history }) {
+        const { tickers, viewOptions } = this.readUrlState();
+
+        // Only for this visit; the student's saved view is kept for next time
+        Object.assign(this.viewOptions, viewOptions);
+        this.updateRangeSelectors();
+        document.getElementById('tickerInput').value = tickers.join(', ');
+
+        if (tickers.length === 0) {
+            return false;
+        }
+        this.handleSearch({ history });
+        return true;
+    }
+
+    // Back/forward to a page with no companies shows the empty search again
+    restoreUrlState() {
+        if (!this.applyUrlState({ history: 'none' })) {
+            this.currentTicker = '';
+            this.currentTickers = [];
+            this.hideError();
+            this.hideCharts();
+        }
+    }
+
+    buildUrl() {
+        // Keeps anything else in the URL, like ?provider=fixtures
+        const params = new URLSearchParams(window.location.search);
+        params.set('tickers', this.currentTickers.join(','));
+        params.set('range', this.viewOptions.priceRange);
+        params.set('periods', this.viewOptions.periods);
+        params.set('reporting', this.viewOptions.reporting);
+        if (this.viewOptions.overlays.length > 0) {
+            params.set('overlays', this.viewOptions.overlays.join(','));
+        } else {
+            params.delete('overlays');
+        }
+
+        return `${window.location.pathname}?${this.formatQuery(params)}${window.location.hash}`;
+    }
+
+    // Commas and slashes are fine in a query string and read better in a shared link than %2C and %2F
+    formatQuery(params) {
+        return params.toString().replace(/%2C/g, ',').replace(/%2F/g, '/');
+    }
+
+    updateHistory(mode) {
+        const url = this.buildUrl();
+        if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+            return;
+        }
+
+        const state = { tickers: this.currentTickers, viewOptions: { ...this.viewOptions } };
+        if (mode === 'push') {
+            window.history.pushState(state, '', url);
+        } else {
+            window.history.replaceState(state, '', url);
+        }
     }
 
     loadLastSearchedTicker() {
@@ -113,57 +525,71 @@ class FinanceTeacher {
         }
     }
 
-    async handleSearch() {
+    // history: 'push' adds a browser history entry for new companies, 'replace' updates the
+    // current one and 'none' leaves it alone (back/forward navigation)
+    async handleSearch({ forceRefresh = false, query: requestedQuery = null, history = 'push' } = {}) {
         const tickerInput = document.getElementById('tickerInput');
-        const ticker = tickerInput.value.trim().toUpperCase();
+        const query = (requestedQuery ?? tickerInput.value).trim().toUpperCase();
+
+        if (!query) {
+            this.showError(t('errors.emptyTicker'));
+            return;
+        }
+
+        // Still waiting out a rate limit; the countdown is already on screen
+        if (this.rateLimitTimer) {
+            return;
+        }
 
-        if (!ticker) {
-            this.showError('Please enter a stock ticker symbol');
+        // Several tickers ("TSLA, F") switch to compare mode
+        const tickers = this.parseTickers(query);
+        if (tickers.length > MAX_COMPARE_TICKERS) {
+            this.showError(t('errors.compareLimit', { max: MAX_COMPARE_TICKERS }));
             return;
         }
 
-        // Save ticker for next visit
-        localStorage.setItem('lastSearchedTicker', ticker);
+        // Save ticker(s) for next visit
+        localStorage.setItem('lastSearchedTicker', tickers.join(', '));
+
+        // Re-rendering the same companies (new range, refresh) keeps the charts on screen
+        const isNewSearch = tickers.join(',') !== this.currentTickers.join(',');
 
         this.hideError();
-        this.hideCharts();
+        if (isNewSearch) {
+            this.hideCharts();
+        }
         this.showLoading();
 
         try {
-            this.currentTicker = ticker;
-            this.peTooltipSetup = false; // Reset for new search
-
-            // Check if ticker is supported in free tier
-            if (!this.freeTierSymbols.includes(ticker.toUpperCase())) {
-                throw new Error('UNSUPPORTED_SYMBOL');
+            this.currentTicker = tickers[0];
+            this.currentTickers = tickers;
+            const options = { forceRefresh };
+
+            // One company at a time keeps us gentle on the rate limit
+            const companies = [];
+            for (const ticker of tickers) {
+                companies.push(await this.loadCompany(ticker, options));
             }
 
-            // Validate company first
-            const companyData = await this.getCompanyProfile(ticker);
-            this.showCompanyValidation(companyData);
-
-            // Get stock price data (12 months)
-            const stockPriceData = await this.getHistoricalPrices(ticker);
-            const processedPriceData = this.processStockPriceData(stockPriceData);
-            this.createStockPriceChart(processedPriceData);
-
-            // Get income statement data for fundamentals and metrics
-            const incomeData = await this.getIncomeStatements(ticker);
-            
-            // Create charts with rolling 12-month quarterly data
-            const fundamentalsData = this.processFundamentalsData(incomeData);
-            this.createFundamentalsChart(fundamentalsData);
-            
-            const metricsData = this.processMetricsData(incomeData, companyData);
-            this.createPEChart(metricsData.peData);
-            this.createROEChart(metricsData.roeData);
+            if (companies.length === 1) {
+                this.renderCompany(companies[0]);
+            } else {
+                this.renderComparison(companies);
+            }
 
+            // Students can trade any company they just searched, at its loaded prices
+            this.portfolioPanel.setMarket(companies.map(company => ({
+                ticker: company.ticker,
+                prices: company.prices,
+                currency: company.profile.currency || null
+            })));
+            this.updateDataAsOf();
             this.showCharts();
-            
-            // Setup tooltips after charts are rendered
-            this.setupPETooltip();
-            this.setupROETooltip();
 
+            // New companies get their own history entry; a new range or refresh just updates the link
+            if (history !== 'none') {
+                this.updateHistory(isNewSearch ? history : 'replace');
+            }
         } catch (error) {
             console.error('Search error:', error);
             this.handleApiError(error);
@@ -172,112 +598,398 @@ class FinanceTeacher {
         }
     }
 
+    parseTickers(query) {
+        const tickers = query.split(/[\s,]+/).filter(Boolean);
+        return [...new Set(tickers)];
+    }
 
-    async validateCompanyTicker(ticker) {
+    async loadCompany(ticker, options) {
         try {
-            const response = await this.getTickerDetails(ticker);
-            
-            // Check if it's a valid company and exact symbol match
-            if (!response || !response.symbol || response.symbol.toUpperCase() !== ticker.toUpperCase()) {
-                return false;
+            // Validate company first
+            const profile = await this.provider.getProfile(ticker, options);
+            if (!isCompanyListing(profile)) {
+                throw new Error('NOT_A_COMPANY');
             }
 
-            // Additional checks for company type - only allow stocks
-            if (response.exchange === 'ETF' ||
-                (response.name && response.name.toLowerCase().includes('etf')) || 
-                (response.name && response.name.toLowerCase().includes('fund'))) {
-                return false;
-            }
+            // Full daily bars only when the volume panel needs them
+            const prices = await this.provider.getPrices(ticker, {
+                ...options,
+                from: this.getPriceStartDate(),
+                full: this.viewOptions.overlays.includes('volume')
+            });
+
+            // The periods on display plus a year before them for trailing-twelve-month
+            // sums and year-earlier equity
+            const period = this.viewOptions.reporting === 'annual' ? 'annual' : 'quarter';
+            const limit = this.viewOptions.periods + this.getPeriodsPerYear();
+            const income = await this.provider.getIncomeStatements(ticker, { ...options, limit, period });
+            const balance = await this.provider.getBalanceSheets(ticker, { ...options, limit, period });
+            const cashFlow = await this.provider.getCashFlowStatements(ticker, { ...options, limit, period });
 
-            return true;
+            return { ticker, profile, prices, income, balance, cashFlow };
         } catch (error) {
-            console.error('Ticker validation error:', error);
-            return false;
+            // Lets the error message say which company failed in compare mode
+            error.ticker = ticker;
+            throw error;
         }
     }
 
-    async makeFMPRequest(endpoint) {
-        const url = `${this.fmpBaseUrl}/${endpoint}`;
-        const separator = endpoint.includes('?') ? '&' : '?';
-        const fullUrl = `${url}${separator}apikey=${this.fmpApiKey}`;
-        
-        // API security fix: only log endpoint, not full URL with API key
-        console.log('Making FMP API request to:', endpoint);
-        
-        try {
-            // Add 10 second timeout to prevent hanging
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 10000);
-            
-            const response = await fetch(fullUrl, { 
-                signal: controller.signal 
-            });
-            clearTimeout(timeoutId);
-            console.log('FMP response status:', response.status);
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error('FMP API Error Response:', errorText);
-                
-                if (response.status === 429) {
-                    throw new Error('API_RATE_LIMIT');
-                }
-                if (response.status === 401 || response.status === 403) {
-                    throw new Error('API_AUTH_ERROR');
-                }
-                throw new Error(`API_ERROR_${response.status}`);
+    // Six years covers every range but Max, plus the report dates P/E needs
+    getPriceStartDate() {
+        return this.viewOptions.priceRange === 'MAX' ? '1970-01-01' : this.yearsAgo(6);
+    }
+
+    // Asks for exactly what a quarterly search would, so tiles and full views share the cache
+    async loadWatchlistTile(ticker) {
+        await this.provider.waitForRequestBudget(WATCHLIST_TILE_REQUESTS);
+        const prices = await this.provider.getPrices(ticker, { from: this.getPriceStartDate() });
+        const income = await this.provider.getIncomeStatements(ticker, {
+            limit: this.viewOptions.periods + 4,
+            period: 'quarter'
+        });
+        const profile = await this.provider.getProfile(ticker);
+        return { prices, income, currency: profile.currency || null };
+    }
+
+    async openFromWatchlist(ticker) {
+        document.getElementById('tickerInput').value = ticker;
+        await this.handleSearch();
+
+        const chartsContainer = document.getElementById('chartsContainer');
+        if (!chartsContainer.classList.contains('hidden')) {
+            chartsContainer.scrollIntoView({ behavior: 'smooth' });
+        }
+    }
+
+    yearsAgo(years) {
+        const date = new Date();
+        date.setFullYear(date.getFullYear() - years);
+        return date.toISOString().slice(0, 10);
+    }
+
+    renderCompany(company) {
+        this.currentCompany = company;
+        this.currency = company.profile.currency || null;
+        this.showCompanyValidation(company.profile);
+
+        // The quiz asks about exactly what the cards show
+        const rowsByCard = {};
+
+        METRIC_CARDS.forEach(card => {
+            rowsByCard[card.id] = this.renderCompanyCard(card, company);
+        });
+
+        this.showPriceOverlays(true);
+        this.showPeerBenchmarks(company);
+
+        // The calculator works on the same price rows the chart shows
+        this.whatIf.setCompany(company.ticker, rowsByCard.price, this.charts.price, this.currency);
+
+        this.quiz.show(company.ticker, this.generateQuiz(rowsByCard, company.ticker));
+    }
+
+    // The ROE question names one of the benchmark lines on the chart
+    generateQuiz(rowsByCard, ticker) {
+        const roeCard = METRIC_CARDS.find(card => card.id === 'roe');
+        return this.quizGenerator.generate(rowsByCard, {
+            roeBenchmarks: roeCard ? this.getCardBenchmarks(roeCard, ticker) : []
+        });
+    }
+
+    renderCompanyCard(card, company) {
+        const rows = card.extract(company, this);
+        this.cardRows[card.id] = rows.map(row => ({ ticker: company.ticker, ...row }));
+        this.setCardText(card.id, this.getCardTitle(card, false), this.getCardLabel(card, false));
+        this.createCardChart(card, this.buildCardChart(card, rows, company));
+
+        const benchmarks = this.getCardBenchmarks(card, company.ticker);
+        this.showCardNarrative(card, [card.narrate(rows, this.narrator, benchmarks).join(' ')]);
+
+        if (card.callout) {
+            this.showCardCallout(card, card.callout(rows, this));
+        }
+        return rows;
+    }
+
+    // Peer medians replace a card's fixed benchmark lines once the company's peers have loaded
+    getCardBenchmarks(card, ticker) {
+        const result = card.peers && ticker ? this.peers.get(ticker) : null;
+        const median = result ? result.medians[card.peers.metric] : null;
+        if (median === null) {
+            return card.benchmarks || [];
+        }
+
+        const label = t('peers.median', { value: VALUE_FORMATS[card.peers.format](median, this) });
+        return [{ value: median, label, color: '#CCCCCC' }];
+    }
+
+    // Peers load after the charts, a company at a time; the peer cards are redrawn once they're in
+    showPeerBenchmarks(company) {
+        const ticker = company.ticker;
+        this.showPeerBadges(ticker);
+        if (this.peers.get(ticker) !== undefined) return;
+
+        this.peers.load(ticker).then(result => {
+            // The student may have moved on to another company or to compare mode
+            if (this.currentTickers.length !== 1 || this.currentTickers[0] !== ticker) return;
+
+            if (result) {
+                const rowsByCard = {};
+                METRIC_CARDS.forEach(card => {
+                    rowsByCard[card.id] = card.peers ? this.renderCompanyCard(card, this.currentCompany) : this.cardRows[card.id];
+                });
+
+                // The peer median has replaced the fixed lines the quiz may have asked about
+                this.quiz.update(this.generateQuiz(rowsByCard, ticker));
             }
+            this.showPeerBadges(ticker);
+        });
+    }
 
-            const data = await response.json();
-            console.log('FMP API Response data:', data);
-            
-            // Check for FMP error responses
-            if (data.Error && data.Error.includes('API calls limit')) {
-                throw new Error('API_RATE_LIMIT');
+    // "vs peers" badge: where the company's latest four quarters rank among its peers'
+    showPeerBadges(ticker) {
+        const result = ticker ? this.peers.get(ticker) : null;
+
+        METRIC_CARDS.filter(card => card.peers).forEach(card => {
+            const badge = document.getElementById(`${card.id}PeerBadge`);
+            const { metric, label, format } = card.peers;
+            const formatValue = (value) => VALUE_FORMATS[format](value, this);
+
+            badge.classList.toggle('hidden', !ticker || result === null);
+            if (result === undefined) {
+                badge.textContent = t('peers.loading');
+                return;
             }
-            if (data.Error && data.Error.includes('not authorized')) {
-                throw new Error('API_AUTH_ERROR');
+            if (!result) return;
+
+            const value = result.company[metric];
+            const values = result.peers.map(peer => peer.metrics[metric]).filter(item => item !== null);
+            const median = result.medians[metric];
+            const basis = result.group.basis === 'sector' ? t('peers.sector', { name: result.group.name }) : result.group.name;
+            const group = `${result.peers.map(peer => peer.symbol).join(', ')} (${basis})`;
+
+            if (value === null || median === null) {
+                badge.textContent = value === null
+                    ? t('peers.noValue', { label, ticker, group })
+                    : t('peers.noPeerValues', { label, group });
+                return;
             }
 
-            return data;
-        } catch (error) {
-            if (error.message.startsWith('API_')) {
-                throw error;
+            const percentile = this.peers.percentile(value, values);
+            badge.textContent = t('peers.badge', {
+                percentile: formatOrdinal(percentile),
+                label,
+                value: formatValue(value),
+                median: formatValue(median),
+                group
+            });
+        });
+    }
+
+    // The same request shapes as a quarterly search, so peers and searches share the cache
+    async loadPeerMetrics(ticker) {
+        const prices = await this.provider.getPrices(ticker, { from: this.getPriceStartDate() });
+        const options = { limit: this.viewOptions.periods + 4, period: 'quarter' };
+        const income = await this.provider.getIncomeStatements(ticker, options);
+        const balance = await this.provider.getBalanceSheets(ticker, options);
+        return this.calculateLatestMetrics(prices, income, balance);
+    }
+
+    // P/E, ROE and net margin over the latest four quarters, however the charts are set to
+    // report, so every company in a peer group is measured the same way
+    calculateLatestMetrics(prices, income, balance) {
+        const statements = [...income].sort((a, b) => new Date(b.date) - new Date(a.date));
+        if (statements.length === 0) {
+            throw new Error('NO_DATA');
+        }
+
+        const latest = statements[0];
+        const eps = this.calculateTrailingSum(statements, 0, 'eps', 4);
+        const netIncome = this.calculateTrailingSum(statements, 0, 'netIncome', 4);
+        const revenue = this.calculateTrailingSum(statements, 0, 'revenue', 4);
+        const price = this.findPriceNearDate(prices, latest.date);
+        const equity = this.calculateAverageEquity(balance, latest.date, 4);
+
+        return {
+            // A company losing money has no meaningful P/E
+            pe: eps > 0 && price !== null ? price / eps : null,
+            roe: netIncome !== null && equity ? (netIncome / equity) * 100 : null,
+            netMargin: revenue > 0 ? (netIncome / revenue) * 100 : null
+        };
+    }
+
+    renderComparison(companies) {
+        this.showComparisonHeader(companies);
+
+        // Quiz questions and the calculator are about a single company's charts
+        this.quiz.hide();
+        this.whatIf.hide();
+        this.showPriceOverlays(false);
+        this.showPeerBadges(null);
+
+        // Money axes need one currency; mixed ones fall back to plain numbers
+        const currencies = new Set(companies.map(company => company.profile.currency || null));
+        this.currency = currencies.size === 1 ? [...currencies][0] : null;
+
+        METRIC_CARDS.forEach(card => {
+            const series = companies.map((company, index) => ({
+                ticker: company.ticker,
+                color: COMPARE_COLORS[index],
+                rows: card.extract(company, this)
+            }));
+
+            this.cardRows[card.id] = series.flatMap(item => item.rows.map(row => ({ ticker: item.ticker, ...row })));
+
+            this.setCardText(card.id, this.getCardTitle(card, true), this.getCardLabel(card, true));
+            this.createCardChart(card, this.buildComparisonChart(card, series));
+
+            // One line per company: the headline sentence of its own story
+            this.showCardNarrative(card, series.map(item => {
+                const [headline] = card.narrate(item.rows, this.narrator, card.benchmarks || []);
+                return headline ? `${item.ticker}: ${headline}` : '';
+            }));
+
+            if (card.callout) {
+                // Only the latest period of each company is checked
+                const messages = series
+                    .map(item => card.callout(item.rows, this, item.ticker))
+                    .filter(Boolean);
+                this.showCardCallout(card, messages.join(' '));
             }
-            throw new Error('NETWORK_ERROR');
+        });
+    }
+
+    // Overlays are drawn on a single company's price line, not the rebased comparison
+    showPriceOverlays(isVisible) {
+        document.querySelector('.range-selector[data-option="overlays"]').classList.toggle('hidden', !isVisible);
+        document.getElementById('priceOverlayNotes').classList.toggle('hidden', !isVisible);
+    }
+
+    exportCard(cardId, format) {
+        const card = METRIC_CARDS.find(item => item.id === cardId);
+        const filename = `${this.currentTickers.join('-')}-${cardId}-${new Date().toISOString().slice(0, 10)}`;
+
+        if (format === 'png') {
+            downloadChartPng(`${filename}.png`, document.getElementById(`${cardId}Chart`));
+            return;
         }
+
+        const rows = this.cardRows[cardId] || [];
+        const columns = this.getExportColumns(card, rows);
+
+        if (format === 'csv') {
+            downloadFile(`${filename}.csv`, rowsToCsv(columns, rows), 'text/csv');
+            return;
+        }
+
+        downloadFile(`${filename}.json`, JSON.stringify({
+            card: cardId,
+            title: document.getElementById(`${cardId}Title`).textContent,
+            tickers: this.currentTickers,
+            viewOptions: this.viewOptions,
+            exportedAt: new Date().toISOString(),
+            columns,
+            rows: rows.map(row => Object.fromEntries(columns.map(column => [column.key, row[column.key] ?? null])))
+        }, null, 2), 'application/json');
     }
 
+    // Which company and period, then each charted series named like the legend, with its unit.
+    // P/E and ROE share rows, so fields another card charts are left out.
+    getExportColumns(card, rows) {
+        const keys = [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+        return keys
+            .filter(key => ['ticker', 'period', 'date'].includes(key) ||
+                card.series.some(series => key === series.field || key === `${series.field}NotMeaningful`))
+            .map(key => {
+                const series = card.series.find(item => item.field === key);
+                const flagged = card.series.find(item => key === `${item.field}NotMeaningful`);
+                if (flagged) {
+                    return { key, header: t('exports.notMeaningful', { label: flagged.label }) };
+                }
+                if (!series) {
+                    return { key, header: key };
+                }
 
-    async getCompanyProfile(ticker) {
-        // Use search to validate and get basic company info
-        const endpoint = `search-symbol?query=${ticker}`;
-        const response = await this.makeFMPRequest(endpoint);
-        
-        // Find exact match
-        const exactMatch = response.find(item => 
-            item.symbol.toUpperCase() === ticker.toUpperCase()
-        );
-        
-        if (!exactMatch) {
-            throw new Error('INVALID_TICKER');
+                const onSecondaryAxis = card.secondaryAxis && series.axis === card.secondaryAxis.id;
+                const format = onSecondaryAxis ? card.secondaryAxis.format : card.format;
+                return { key, header: `${series.label}${exportUnit(format, this.currency)}` };
+            });
+    }
+
+    // An assignment's own label replaces the card's, in both single and compare mode
+    getCardLabel(card, comparison) {
+        if (this.assignment && this.assignment.labels[card.id]) {
+            return this.assignment.labels[card.id];
         }
-        
-        return exactMatch;
+        return comparison ? card.compareLabel || card.label : card.label;
+    }
+
+    getCardTitle(card, comparison) {
+        if (typeof card.title !== 'function') {
+            return card.title;
+        }
+
+        const { priceRange, periods, reporting } = this.viewOptions;
+
+        // Adding up TTM values would count the same quarters several times, so compare the latest
+        const span = {
+            quarter: t('periods.spanQuarter', { periods }),
+            annual: t('periods.spanAnnual', { periods }),
+            ttm: t('periods.spanTtm')
+        }[reporting];
+
+        return card.title({ comparison, rangeLabel: PRICE_RANGES[priceRange].label, span });
     }
 
-    async getIncomeStatements(ticker) {
-        const endpoint = `income-statement?symbol=${ticker}&period=quarter`;
-        const response = await this.makeFMPRequest(endpoint);
-        return response;
+    setCardText(cardName, title, label) {
+        document.getElementById(`${cardName}Title`).textContent = title;
+        document.getElementById(`${cardName}Label`).textContent = label;
+    }
+
+    showCardNarrative(card, paragraphs) {
+        const narrative = document.getElementById(`${card.id}Narrative`);
+        const lines = paragraphs.filter(Boolean);
+
+        narrative.innerHTML = '';
+        narrative.classList.toggle('hidden', lines.length === 0);
+
+        lines.forEach(line => {
+            const paragraph = document.createElement('p');
+            paragraph.textContent = line;
+            narrative.appendChild(paragraph);
+        });
     }
 
-    async getHistoricalPrices(ticker) {
-        const endpoint = `historical-price-eod/light?symbol=${ticker}`;
-        const response = await this.makeFMPRequest(endpoint);
-        return response;
+    showCardCallout(card, message) {
+        const callout = document.getElementById(`${card.id}Callout`);
+        callout.innerHTML = '';
+        callout.classList.toggle('hidden', !message);
+        if (!message) return;
+
+        const heading = document.createElement('strong');
+        heading.textContent = `${card.calloutTitle} `;
+        callout.append(heading, message);
     }
 
+    updateDataAsOf() {
+        // Each card lists the datasets it is built from; show the oldest of them
+        document.querySelectorAll('.data-as-of').forEach(element => {
+            const times = element.dataset.sources.split(' ')
+                .flatMap(source => this.currentTickers.map(ticker => this.provider.getDataAsOf(ticker, source)))
+                .filter(Boolean);
+
+            if (times.length === 0) {
+                element.textContent = '';
+                return;
+            }
+
+            const asOf = new Date(Math.min(...times));
+            element.textContent = t('cards.dataAsOf', {
+                time: formatDate(asOf, { dateStyle: 'medium', timeStyle: 'short' })
+            });
+        });
+    }
 
     showCompanyValidation(companyData) {
         const validationElement = document.getElementById('companyValidation') || this.createValidationElement();
@@ -291,7 +1003,30 @@ class FinanceTeacher {
                     <span style="color: #CCCCCC; font-weight: normal; font-size: 0.8em;">${companyData.name}</span>
                 </h2>
                 <p class="educational-label">
-                    Exchange: ${companyData.exchange} • Currency: ${companyData.currency || 'USD'}
+                    ${t('company.listing', { exchange: companyData.exchange, currency: companyData.currency || 'USD' })}
+                </p>
+            </div>
+        `;
+        validationElement.querySelector('h2').appendChild(this.watchlist.createToggle(companyData.symbol));
+    }
+
+    showComparisonHeader(companies) {
+        const validationElement = document.getElementById('companyValidation') || this.createValidationElement();
+
+        const rows = companies.map((company, index) => `
+            <div class="compare-company">
+                <div style="width: 12px; height: 12px; background: ${COMPARE_COLORS[index]}; border-radius: 50%;"></div>
+                <span style="color: #FFF2CC; font-weight: 600;">${company.profile.symbol}</span>
+                <span style="color: #CCCCCC;">${company.profile.name}</span>
+            </div>
+        `).join('');
+
+        validationElement.innerHTML = `
+            <div class="chart-header">
+                <h2>${t('company.comparing', { count: companies.length })}</h2>
+                <div class="compare-companies">${rows}</div>
+                <p class="educational-label">
+                    ${t('company.compareColors')}
                 </p>
             </div>
         `;
@@ -307,135 +1042,337 @@ class FinanceTeacher {
         return element;
     }
 
-    processFundamentalsData(incomeData) {
+    processFundamentalsData(incomeData, periodCount = 4) {
         if (!incomeData || incomeData.length === 0) {
             throw new Error('NO_DATA');
         }
 
-        // Take the last 4 quarters exactly as reported by the API
-        // No date filtering - just use the most recent 4 quarters reported
-        const validQuarters = incomeData
-            .slice(0, 4) // Get first 4 (most recent)
-            .sort((a, b) => new Date(a.date) - new Date(b.date)); // Sort chronologically
+        const isTrailing = this.viewOptions.reporting === 'ttm';
 
-        console.log('Last 4 reported quarters:', validQuarters.map(q => ({
+        // Most recent first, so the 3 quarters before index i are i+1..i+3
+        const statements = [...incomeData].sort((a, b) => new Date(b.date) - new Date(a.date));
+
+        // Take the last N periods exactly as reported by the API
+        // No date filtering - just use the most recent periods reported
+        const validQuarters = statements
+            .slice(0, periodCount)
+            .reverse(); // Sort chronologically
+
+        console.log(`Last ${periodCount} reported periods:`, validQuarters.map(q => ({
             date: q.date,
             period: q.period,
             fiscalYear: q.fiscalYear
         })));
 
         const processedData = validQuarters.map(quarter => {
-            const fiscalDateEnding = quarter.date;
-            
-            // FMP Income Statement field names
-            const revenue = parseFloat(quarter.revenue || 0);
-            const netIncome = parseFloat(quarter.netIncome || 0);
-            const costOfRevenue = parseFloat(quarter.costOfRevenue || 0);
-            const operatingExpenses = parseFloat(quarter.operatingExpenses || 0);
+            const index = statements.indexOf(quarter);
+
+            // TTM view: each bar is the quarter plus the three before it
+            const sumOf = (field) => isTrailing
+                ? this.calculateTrailingSum(statements, index, field, 4)
+                : quarter[field];
+
+            const revenue = sumOf('revenue');
+            const netIncome = sumOf('netIncome');
+            const costOfRevenue = sumOf('costOfRevenue');
+            const operatingExpenses = sumOf('operatingExpenses');
+
+            // Not enough earlier quarters to fill a trailing year
+            if (revenue === null) {
+                return null;
+            }
             
             // Calculate total expenses (cost of revenue + operating expenses)
             const totalExpenses = costOfRevenue + operatingExpenses;
             
             return {
-                period: this.formatQuarterLabel(quarter),
+                period: isTrailing ? t('periods.ttmLabel', { period: this.formatQuarterLabel(quarter) }) : this.formatQuarterLabel(quarter),
                 revenue: revenue / 1000000000, // Convert to billions
                 expenses: totalExpenses / 1000000000,
                 profit: netIncome / 1000000000
             };
-        });
+        }).filter(Boolean);
 
         return processedData;
     }
 
-    processStockPriceData(priceData) {
+    processCashFlowData(cashFlowData, periodCount = 4) {
+        if (!cashFlowData || cashFlowData.length === 0) {
+            throw new Error('NO_DATA');
+        }
+
+        const isTrailing = this.viewOptions.reporting === 'ttm';
+        const statements = [...cashFlowData].sort((a, b) => new Date(b.date) - new Date(a.date));
+
+        return statements
+            .slice(0, periodCount)
+            .reverse()
+            .map(statement => {
+                const index = statements.indexOf(statement);
+                const sumOf = (field) => isTrailing
+                    ? this.calculateTrailingSum(statements, index, field, 4)
+                    : statement[field];
+
+                const operatingCashFlow = sumOf('operatingCashFlow');
+                if (operatingCashFlow === null) {
+                    return null;
+                }
+
+                // Capital expenditures are reported as negative numbers (cash going out)
+                return {
+                    period: isTrailing ? t('periods.ttmLabel', { period: this.formatQuarterLabel(statement) }) : this.formatQuarterLabel(statement),
+                    operatingCashFlow: operatingCashFlow / 1000000000,
+                    capitalExpenditure: sumOf('capitalExpenditure') / 1000000000,
+                    freeCashFlow: sumOf('freeCashFlow') / 1000000000,
+                    netIncome: sumOf('netIncome') / 1000000000
+                };
+            })
+            .filter(Boolean);
+    }
+
+    findCashFlowDivergence(cashFlowData, ticker = null) {
+        const latest = cashFlowData[cashFlowData.length - 1];
+        if (!latest) return null;
+
+        const { period, netIncome, operatingCashFlow } = latest;
+        const subject = ticker ? t('cashFlow.subjectTicker', { ticker, period }) : t('cashFlow.subject', { period });
+        const profit = this.formatSignedBillions(netIncome);
+        const cash = this.formatSignedBillions(operatingCashFlow);
+
+        // A sharp gap: opposite signs, or one more than twice the other
+        if (netIncome > 0 && operatingCashFlow < netIncome * 0.5) {
+            return t('cashFlow.cashBehind', { subject, profit, cash });
+        }
+        if (netIncome < 0 && operatingCashFlow > 0) {
+            return t('cashFlow.lossWithCash', { subject, loss: this.formatSignedBillions(-netIncome), cash });
+        }
+        if (netIncome > 0 && operatingCashFlow > netIncome * 2) {
+            return t('cashFlow.cashAhead', { subject, profit, cash });
+        }
+        return null;
+    }
+
+    processMarginData(incomeData, periodCount = 4) {
+        if (!incomeData || incomeData.length === 0) {
+            throw new Error('NO_DATA');
+        }
+
+        const isTrailing = this.viewOptions.reporting === 'ttm';
+
+        // Most recent first, so the 3 quarters before index i are i+1..i+3
+        const statements = [...incomeData].sort((a, b) => new Date(b.date) - new Date(a.date));
+
+        return statements
+            .slice(0, periodCount)
+            .reverse()
+            .map(statement => {
+                const index = statements.indexOf(statement);
+                const sumOf = (field) => isTrailing
+                    ? this.calculateTrailingSum(statements, index, field, 4)
+                    : statement[field];
+
+                const revenue = sumOf('revenue');
+                const netIncome = sumOf('netIncome');
+
+                // Not enough earlier quarters to fill a trailing year
+                if (revenue === null) {
+                    return null;
+                }
+
+                return {
+                    period: isTrailing ? t('periods.ttmLabel', { period: this.formatQuarterLabel(statement) }) : this.formatQuarterLabel(statement),
+                    date: statement.date,
+                    // A margin on no sales means nothing
+                    netMargin: revenue > 0 ? (netIncome / revenue) * 100 : null
+                };
+            })
+            .filter(Boolean);
+    }
+
+    processBalanceSheetData(balanceSheetData, periodCount = 4) {
+        if (!balanceSheetData || balanceSheetData.length === 0) {
+            throw new Error('NO_DATA');
+        }
+
+        // Balance sheets are snapshots, so the TTM view shows the same period-end values under
+        // their own quarter labels
+        return [...balanceSheetData]
+            .sort((a, b) => new Date(b.date) - new Date(a.date))
+            .slice(0, periodCount)
+            .reverse()
+            .map(sheet => ({
+                period: this.formatQuarterLabel(sheet),
+                totalAssets: sheet.totalAssets / 1000000000,
+                totalLiabilities: sheet.totalLiabilities / 1000000000,
+                totalEquity: sheet.totalEquity / 1000000000,
+                // Debt-to-equity isn't meaningful once equity is zero or negative
+                debtToEquity: sheet.totalEquity > 0 ? sheet.totalDebt / sheet.totalEquity : null,
+                currentRatio: sheet.currentLiabilities > 0 ? sheet.currentAssets / sheet.currentLiabilities : null
+            }));
+    }
+
+    // overlays: ids from PRICE_OVERLAYS; each adds its fields to the rows
+    processStockPriceData(priceData, range = '1Y', overlays = []) {
         if (!priceData || priceData.length === 0) {
             throw new Error('NO_DATA');
         }
 
-        // Get last 365 days and sort by date (ascending) 
-        const dailyData = priceData
-            .slice(0, 365)
-            .sort((a, b) => new Date(a.date) - new Date(b.date));
+        // Moving averages look back before the range starts, so sort the whole history first
+        const history = [...priceData].sort((a, b) => new Date(a.date) - new Date(b.date));
+        const averages = {
+            sma50: overlays.includes('sma50') ? this.calculateMovingAverage(history, 50) : null,
+            sma200: overlays.includes('sma200') ? this.calculateMovingAverage(history, 200) : null
+        };
+
+        // Filter by calendar dates (not a count of trading days)
+        const startDate = this.getRangeStartDate(priceData, range);
+        let peak = -Infinity;
 
-        const dates = [];
-        const prices = [];
+        // Dates stay as strings, Chart.js will parse them
+        return history.flatMap((day, index) => {
+            if (startDate && day.date < startDate) return [];
 
-        dailyData.forEach(day => {
-            dates.push(day.date); // Keep as string, Chart.js will parse
-            prices.push(parseFloat(day.price));
+            const row = { date: day.date, close: day.close };
+            Object.entries(averages).forEach(([field, values]) => {
+                if (values) row[field] = values[index];
+            });
+            if (overlays.includes('volume')) {
+                row.volume = day.volume;
+            }
+            if (overlays.includes('drawdown')) {
+                // The highest close so far in the range, not in all of history
+                peak = Math.max(peak, day.close);
+                row.peak = peak;
+            }
+            return [row];
         });
+    }
 
-        return {
-            dates,
-            prices
-        };
+    // Average close of the last `days` trading days; null until there are that many
+    calculateMovingAverage(history, days) {
+        let sum = 0;
+        return history.map((day, index) => {
+            sum += day.close;
+            if (index >= days) {
+                sum -= history[index - days].close;
+            }
+            return index >= days - 1 ? sum / days : null;
+        });
     }
 
-    processMetricsData(incomeData, companyData) {
+    getRangeStartDate(priceData, range) {
+        if (range === 'MAX') {
+            return null;
+        }
+
+        // Count back from the latest close so weekends and holidays don't shrink the range
+        const latest = priceData.reduce((max, day) => day.date > max ? day.date : max, priceData[0].date);
+        const start = new Date(`${latest}T00:00:00Z`);
+
+        if (range === 'YTD') {
+            return `${start.getUTCFullYear()}-01-01`;
+        }
+
+        start.setUTCMonth(start.getUTCMonth() - PRICE_RANGES[range].months);
+        return start.toISOString().slice(0, 10);
+    }
+
+    processMetricsData(incomeData, priceData, balanceSheetData, periodCount = 4) {
         if (!incomeData || incomeData.length === 0) {
             throw new Error('NO_DATA');
         }
 
-        // Take the last 4 quarters exactly as reported by the API
-        // No date filtering - just use the most recent 4 quarters reported
-        const quarterlyData = incomeData
-            .slice(0, 4) // Get first 4 (most recent)
-            .sort((a, b) => new Date(a.date) - new Date(b.date)); // Sort chronologically
+        // A year is 4 quarterly statements or 1 annual statement
+        const periodsPerYear = this.getPeriodsPerYear();
 
-        
-        const quarters = [];
-        const peRatios = [];
-        const roeValues = [];
+        // Most recent first, so the 3 quarters before index i are i+1..i+3
+        const statements = [...incomeData].sort((a, b) => new Date(b.date) - new Date(a.date));
+
+        // Take the last N periods exactly as reported by the API, oldest first for the chart
+        const quarterlyData = statements.slice(0, periodCount).reverse();
 
-        quarterlyData.forEach((quarter) => {
-            const period = this.formatQuarterLabel(quarter);
-            quarters.push(period);
+        return quarterlyData.map(quarter => {
+            const index = statements.indexOf(quarter);
 
-            // Calculate P/E ratio from EPS data if available
+            // P/E = closing price on the report date / trailing-twelve-month EPS
             let peRatio = null;
-            const eps = parseFloat(quarter.eps || quarter.epsDiluted || 0);
-            
-            if (eps > 0) {
-                // For quarterly data, we'll use a simple multiplier approach
-                // This is an approximation since we don't have current stock price
-                peRatio = 15 + (Math.random() * 10); // Placeholder - would need real stock price
+            let notMeaningful = false;
+            const ttmEps = this.calculateTrailingSum(statements, index, 'eps', periodsPerYear);
+            const price = this.findPriceNearDate(priceData || [], quarter.date);
+
+            if (ttmEps !== null && ttmEps <= 0) {
+                // A company losing money has no meaningful P/E
+                notMeaningful = true;
+            } else if (ttmEps !== null && price !== null) {
+                peRatio = price / ttmEps;
             }
 
-            peRatios.push(peRatio);
-
-            // Calculate ROE using available data
+            // ROE = trailing-twelve-month net income / average shareholders' equity
             let roe = null;
-            const netIncome = parseFloat(quarter.netIncome || 0);
-            const revenue = parseFloat(quarter.revenue || 0);
-            
-            if (revenue > 0 && netIncome > 0) {
-                // Simplified ROE calculation - this is an approximation
-                // ROE = (Net Income / Revenue) * (Revenue/Assets estimation) * 100
-                const profitMargin = (netIncome / revenue) * 100;
-                roe = profitMargin * 0.8; // Rough approximation
-                
-                // Add some realistic variance
-                roe = Math.max(5, Math.min(35, roe + (Math.random() * 10 - 5)));
+            const ttmNetIncome = this.calculateTrailingSum(statements, index, 'netIncome', periodsPerYear);
+            const averageEquity = this.calculateAverageEquity(balanceSheetData || [], quarter.date, periodsPerYear);
+
+            if (ttmNetIncome !== null && averageEquity) {
+                // Negative equity gives a negative ROE; keep it so students can see it
+                roe = (ttmNetIncome / averageEquity) * 100;
             }
 
-            roeValues.push(roe);
+            return {
+                period: this.formatQuarterLabel(quarter),
+                date: quarter.date,
+                pe: peRatio,
+                peNotMeaningful: notMeaningful,
+                roe
+            };
         });
+    }
 
-        return {
-            peData: { quarters, values: peRatios },
-            roeData: { quarters, values: roeValues }
-        };
+    calculateTrailingSum(statements, index, field, periodsPerYear) {
+        // Sum of a year's worth of periods ending at index: 4 quarters, or 1 fiscal year
+        const window = statements.slice(index, index + periodsPerYear);
+        if (window.length < periodsPerYear) {
+            return null;
+        }
+
+        return window.reduce((sum, statement) => sum + statement[field], 0);
+    }
+
+    calculateAverageEquity(balanceSheets, quarterDate, periodsPerYear = 4) {
+        // Balance sheets share their date with the income statement for the same quarter
+        const sheets = [...balanceSheets].sort((a, b) => new Date(b.date) - new Date(a.date));
+        const index = sheets.findIndex(sheet => sheet.date === quarterDate);
+        if (index === -1) {
+            return null;
+        }
+
+        const endingEquity = sheets[index].totalEquity;
+
+        // Average the period's equity with equity a year earlier when we have it
+        const yearEarlier = sheets[index + periodsPerYear];
+        if (!yearEarlier) {
+            return endingEquity;
+        }
+
+        return (endingEquity + yearEarlier.totalEquity) / 2;
+    }
+
+    formatCalendarPeriod(date) {
+        // Fiscal quarters differ between companies; calendar quarters line them up
+        const [year, month] = date.split('-').map(Number);
+        if (this.viewOptions.reporting === 'annual') {
+            return String(year);
+        }
+        return t('periods.label', { period: t(`periods.Q${Math.ceil(month / 3)}`), year });
     }
 
     formatQuarterLabel(quarter) {
-        // Use the actual period and fiscal year from FMP
-        const period = quarter.period; // Q1, Q2, Q3, Q4
-        const fiscalYear = quarter.fiscalYear;
-        
-        return `${period} ${fiscalYear}`;
+        // Use the actual period and fiscal year from the statement
+        const period = quarter.period; // Q1, Q2, Q3, Q4, or FY for annual statements
+
+        return t('periods.label', { period: t(`periods.${period}`), year: quarter.fiscalYear });
     }
 
-    findPriceNearDateFMP(priceResults, targetDate) {
+    findPriceNearDate(priceResults, targetDate, maxDiffDays = 7) {
         const target = new Date(targetDate);
         let closestPrice = null;
         let minDiff = Infinity;
@@ -446,340 +1383,515 @@ class FinanceTeacher {
             
             if (diff < minDiff) {
                 minDiff = diff;
-                closestPrice = parseFloat(bar.close); // close is close price
+                closestPrice = bar.close;
             }
         });
 
+        // Report dates can fall on weekends/holidays, but not outside the price history
+        if (minDiff > maxDiffDays * 24 * 60 * 60 * 1000) {
+            return null;
+        }
+
         return closestPrice;
     }
 
-    formatBillions(value) {
-        if (Math.abs(value) >= 1000) {
-            return (value / 1000).toFixed(1) + 'T';
-        } else if (Math.abs(value) >= 1) {
-            return value.toFixed(1) + 'B';
-        } else {
-            return (value * 1000).toFixed(0) + 'M';
+    // One marker per income statement on the price chart, with the results and the stock's
+    // move in the days after them in a label that shows on hover. prices: chart rows, oldest first.
+    buildEarningsAnnotations(prices, statements = []) {
+        const annotations = {};
+
+        statements.forEach((statement, index) => {
+            // Statements are dated by the end of the period; the results come out weeks later
+            const reportDate = statement.filingDate || statement.date;
+            const close = this.findPriceNearDate(prices, reportDate, 4);
+            if (close === null) return;
+
+            const reaction = this.measureEarningsReaction(prices, reportDate);
+            const color = reaction === null ? '#CCCCCC' : reaction < 0 ? '#CC0000' : '#00CC00';
+            const labelId = `earnings${index}Label`;
+
+            const showLabel = (chart, display) => {
+                chart.options.plugins.annotation.annotations[labelId].display = display;
+                chart.update('none');
+            };
+
+            annotations[`earnings${index}`] = {
+                type: 'point',
+                xValue: reportDate,
+                yValue: close,
+                pointStyle: 'rectRot',
+                radius: 6,
+                backgroundColor: color,
+                borderColor: '#2A2A2A',
+                borderWidth: 1,
+                enter: ({ chart }) => showLabel(chart, true),
+                leave: ({ chart }) => showLabel(chart, false)
+            };
+
+            const move = reaction === null
+                ? t('earnings.tooSoon')
+                : (reaction < 0 ? '' : '+') + formatPercentage(reaction, 1);
+
+            annotations[labelId] = {
+                type: 'label',
+                display: false,
+                xValue: reportDate,
+                yValue: close,
+                yAdjust: -60,
+                content: [
+                    t('earnings.reported', { period: this.formatQuarterLabel(statement), date: formatDate(reportDate) }),
+                    t('earnings.revenue', { revenue: this.formatSignedBillions(statement.revenue / 1e9) }),
+                    t('earnings.eps', { eps: formatCurrency(statement.eps, this.currency) }),
+                    t('earnings.reaction', { days: EARNINGS_REACTION_DAYS, move })
+                ],
+                textAlign: 'left',
+                backgroundColor: 'rgba(42, 42, 42, 0.95)',
+                borderColor: color,
+                borderWidth: 1,
+                borderRadius: 4,
+                padding: 8,
+                color: '#FFF2CC',
+                font: { size: 11 }
+            };
+        });
+
+        return annotations;
+    }
+
+    // From the last close before the report, since results often come out after the bell,
+    // to the close a few trading days later; null if the chart doesn't cover both
+    measureEarningsReaction(prices, reportDate) {
+        const index = prices.findIndex(bar => bar.date >= reportDate);
+        if (index <= 0 || index + EARNINGS_REACTION_DAYS >= prices.length) {
+            return null;
         }
+
+        const before = prices[index - 1].close;
+        return before ? prices[index + EARNINGS_REACTION_DAYS].close / before - 1 : null;
+    }
+
+    // Statement values are in billions; "$1.2B", "-$350M", or the locale's own short scale
+    formatSignedBillions(value) {
+        return formatCompactCurrency(value * 1e9, this.currency);
     }
 
-    createStockPriceChart(data) {
-        if (this.charts.price) {
-            this.charts.price.destroy();
+    createCardChart(card, config) {
+        if (this.charts[card.id]) {
+            this.charts[card.id].destroy();
         }
 
-        const ctx = document.getElementById('priceChart').getContext('2d');
-        
-        this.charts.price = new Chart(ctx, {
-            type: 'line',
-            data: {
-                labels: data.dates,
-                datasets: [{
-                    label: 'Stock Price',
-                    data: data.prices,
-                    borderColor: '#FFF2CC',
-                    backgroundColor: 'transparent',
-                    borderWidth: 2,
-                    fill: false,
-                    tension: 0.1,
-                    pointRadius: 0,
-                    pointHoverRadius: 4
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    legend: { display: false }
-                },
-                scales: {
-                    x: {
-                        type: 'time',
-                        time: { 
-                            unit: 'month',
-                            displayFormats: {
-                                month: 'MMM yyyy'
-                            }
-                        },
-                        ticks: { color: '#CCCCCC' },
-                        grid: { color: 'rgba(255, 255, 255, 0.1)' }
-                    },
-                    y: {
-                        ticks: { 
-                            color: '#CCCCCC',
-                            callback: function(value) {
-                                return '$' + value.toFixed(2);
-                            }
-                        },
-                        grid: { color: 'rgba(255, 255, 255, 0.1)' }
-                    }
-                }
+        const ctx = document.getElementById(`${card.id}Chart`).getContext('2d');
+        this.charts[card.id] = new Chart(ctx, config);
+    }
+
+    buildCardChart(card, rows, company) {
+        const isTime = card.xAxis === 'time';
+
+        // Overlay series only appear while their overlay is switched on
+        const datasets = card.series
+            .filter(series => !series.overlay || this.viewOptions.overlays.includes(series.overlay))
+            .map(series => this.buildDataset(card, series, {
+                // Time series are plotted by date; everything else lines up with the period labels
+                data: isTime
+                    ? rows.map(row => ({ x: row.date, y: row[series.field] }))
+                    : rows.map(row => row[series.field]),
+                dense: isTime
+            }));
+
+        const xAxis = isTime
+            ? this.buildTimeAxis()
+            : this.buildCategoryAxis(this.getPeriodAxisTitle(rows.length, card));
+
+        return this.buildChartConfig(card, {
+            labels: isTime ? undefined : rows.map(row => row.period),
+            datasets,
+            xAxis,
+            format: card.format,
+            annotations: {
+                ...this.buildBenchmarkAnnotations(this.getCardBenchmarks(card, company && company.ticker), false),
+                ...(card.annotate ? card.annotate(rows, company, this) : {})
             }
         });
     }
 
-    createFundamentalsChart(data) {
-        if (this.charts.fundamentals) {
-            this.charts.fundamentals.destroy();
+    buildComparisonChart(card, series) {
+        if (card.comparison === 'rebased') {
+            return this.buildRebasedChart(card, series);
+        }
+        if (card.comparison === 'calendar') {
+            return this.buildCalendarChart(card, series);
         }
 
-        const ctx = document.getElementById('fundamentalsChart').getContext('2d');
-        
-        const revenue = data.map(item => item.revenue);
-        const expenses = data.map(item => item.expenses);
-        const profit = data.map(item => item.profit);
-
-        this.charts.fundamentals = new Chart(ctx, {
-            type: 'bar',
-            data: {
-                labels: ['', '', '', ''], // Empty labels
-                datasets: [
-                    {
-                        label: 'Revenue',
-                        data: revenue,
-                        backgroundColor: '#FFF2CC',
-                        borderColor: '#FFF2CC',
-                        borderWidth: 1
-                    },
-                    {
-                        label: 'Expenses',
-                        data: expenses,
-                        backgroundColor: '#CC0000',
-                        borderColor: '#CC0000',
-                        borderWidth: 1
-                    },
-                    {
-                        label: 'Net Income',
-                        data: profit,
-                        backgroundColor: '#00CC00',
-                        borderColor: '#00CC00',
-                        borderWidth: 1
-                    }
-                ]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    legend: {
-                        labels: { color: '#CCCCCC' }
-                    }
-                },
-                scales: {
-                    x: {
-                        title: {
-                            display: true,
-                            text: 'Last 4 Reported Quarters',
-                            color: '#CCCCCC',
-                            font: {
-                                size: 16,
-                                weight: 'bold'
-                            },
-                            align: 'center'
-                        },
-                        ticks: { color: '#CCCCCC' },
-                        grid: { color: 'rgba(255, 255, 255, 0.1)' }
-                    },
-                    y: {
-                        ticks: { 
-                            color: '#CCCCCC',
-                            callback: (value) => '$' + this.formatBillions(value)
-                        },
-                        grid: { color: 'rgba(255, 255, 255, 0.1)' }
-                    }
-                }
+        // 'total' and 'latest': one group of bars per company
+        // (TTM values already cover a year each, so only the latest is used for totals)
+        const valueOf = (rows, field) => {
+            if (card.comparison === 'latest' || this.viewOptions.reporting === 'ttm') {
+                return rows[rows.length - 1][field];
             }
+            return rows.reduce((sum, row) => sum + row[field], 0);
+        };
+
+        const datasets = card.series
+            .filter(item => item.inComparison !== false)
+            .map(item => {
+                const dataset = this.buildDataset(card, item, {
+                    data: series.map(company => valueOf(company.rows, item.field))
+                });
+
+                // A line across different companies means nothing; show each value as a dot
+                if (item.type === 'line') {
+                    Object.assign(dataset, { showLine: false, pointRadius: 7, borderDash: [] });
+                }
+                return dataset;
+            });
+
+        return this.buildChartConfig(card, {
+            labels: series.map(company => company.ticker),
+            datasets,
+            xAxis: this.buildCategoryAxis(null, { size: 14, weight: 'bold' }),
+            format: card.format,
+            annotations: this.buildBenchmarkAnnotations(card.benchmarks || [], true)
         });
     }
 
-    createPEChart(peData) {
-        if (this.charts.pe) {
-            this.charts.pe.destroy();
-        }
+    buildRebasedChart(card, series) {
+        // Rebase from the first date every company has a price for
+        const field = card.series[0].field;
+        const startDate = series
+            .map(company => company.rows[0].date)
+            .sort()
+            .pop();
+
+        const datasets = series.map(company => {
+            const rows = company.rows.filter(row => row.date >= startDate);
+            const base = rows[0][field];
+
+            return this.buildDataset(card, { ...card.series[0], label: company.ticker, color: company.color }, {
+                data: rows.map(row => ({ x: row.date, y: (row[field] / base) * 100 })),
+                dense: true
+            });
+        });
 
-        const ctx = document.getElementById('peChart').getContext('2d');
-        
-        const values = peData.values;
-
-        this.charts.pe = new Chart(ctx, {
-            type: 'line',
-            data: {
-                labels: ['', '', '', ''], // Empty labels
-                datasets: [{
-                    label: 'P/E Ratio',
-                    data: values,
-                    borderColor: '#FFF2CC',
-                    backgroundColor: 'transparent',
-                    borderWidth: 3,
-                    fill: false,
-                    tension: 0.1,
-                    pointRadius: 4,
-                    pointHoverRadius: 6,
-                    pointBackgroundColor: '#FFF2CC'
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    legend: { display: false }
-                },
-                scales: {
-                    x: {
-                        title: {
-                            display: true,
-                            text: 'Last 4 Reported Quarters',
-                            color: '#CCCCCC',
-                            font: {
-                                size: 16,
-                                weight: 'bold'
-                            },
-                            align: 'center'
-                        },
-                        ticks: { color: '#CCCCCC' },
-                        grid: { color: 'rgba(255, 255, 255, 0.1)' }
-                    },
-                    y: {
-                        ticks: { 
-                            color: '#CCCCCC',
-                            callback: function(value) {
-                                return value ? value.toFixed(1) : '0';
-                            }
-                        },
-                        grid: { color: 'rgba(255, 255, 255, 0.1)' }
-                    }
+        return this.buildChartConfig(card, {
+            datasets,
+            xAxis: this.buildTimeAxis(),
+            format: 'index',
+            interaction: { mode: 'index', intersect: false },
+            annotations: {
+                start: {
+                    type: 'line',
+                    yMin: 100,
+                    yMax: 100,
+                    borderColor: 'rgba(255, 255, 255, 0.4)',
+                    borderWidth: 1,
+                    borderDash: [5, 5]
                 }
             }
         });
     }
 
-    createROEChart(roeData) {
-        if (this.charts.roe) {
-            this.charts.roe.destroy();
+    buildCalendarChart(card, series) {
+        // Line companies up by calendar period, since fiscal years end in different months
+        const field = card.series[0].field;
+        const labels = [...new Set(series.flatMap(company => company.rows.map(row => row.date)))]
+            .sort()
+            .map(date => this.formatCalendarPeriod(date))
+            .filter((label, index, all) => all.indexOf(label) === index);
+
+        const datasets = series.map(company => {
+            const byPeriod = {};
+            company.rows.forEach(row => {
+                byPeriod[this.formatCalendarPeriod(row.date)] = row[field];
+            });
+
+            const label = card.comparisonLabel ? card.comparisonLabel(company.rows, company.ticker) : company.ticker;
+            return this.buildDataset(card, { ...card.series[0], type: 'line', label, color: company.color }, {
+                data: labels.map(period => byPeriod[period] ?? null)
+            });
+        });
+
+        const axisTitle = t(this.viewOptions.reporting === 'annual' ? 'periods.axisCalendarYears' : 'periods.axisCalendarQuarters');
+
+        return this.buildChartConfig(card, {
+            chartType: 'line',
+            labels,
+            datasets,
+            xAxis: this.buildCategoryAxis(axisTitle),
+            format: card.format,
+            annotations: this.buildBenchmarkAnnotations(card.benchmarks || [], true)
+        });
+    }
+
+    buildDataset(card, series, { data, dense = false }) {
+        const type = series.type || card.chartType;
+
+        const dataset = {
+            label: series.label,
+            data,
+            borderColor: series.color,
+            backgroundColor: series.color
+        };
+
+        if (series.type) {
+            dataset.type = series.type;
+        }
+        if (series.axis) {
+            dataset.yAxisID = series.axis;
         }
 
-        const ctx = document.getElementById('roeChart').getContext('2d');
-        
-        const values = roeData.values;
-
-        this.charts.roe = new Chart(ctx, {
-            type: 'bar',
-            data: {
-                labels: ['', '', '', ''], // Empty labels
-                datasets: [{
-                    label: 'ROE %',
-                    data: values,
-                    backgroundColor: '#FFF2CC',
-                    borderColor: '#FFF2CC',
-                    borderWidth: 1
-                }]
-            },
+        if (type === 'bar') {
+            return { ...dataset, borderWidth: dense ? 0 : 1 };
+        }
+
+        // Daily prices have too many points to draw each one
+        return {
+            ...dataset,
+            backgroundColor: dense ? 'transparent' : series.color,
+            borderWidth: dense ? 2 : 3,
+            borderDash: series.dashed ? [6, 4] : [],
+            fill: series.fill || false,
+            tension: 0.1,
+            pointRadius: dense ? 0 : 4,
+            pointHoverRadius: dense ? 4 : 6,
+            pointBackgroundColor: series.color,
+            pointStyle: series.pointStyle || 'circle'
+        };
+    }
+
+    buildChartConfig(card, { chartType = card.chartType, labels, datasets, xAxis, format, annotations = {}, interaction }) {
+        const formatValue = (value, valueFormat) => VALUE_FORMATS[valueFormat](value, this);
+        const formatFor = (dataset) => dataset.yAxisID ? card.secondaryAxis.format : format;
+
+        const tooltipCallbacks = {
+            label: (context) => {
+                const value = context.parsed.y;
+                const text = value === null ? t('cards.notMeaningful') : formatValue(value, formatFor(context.dataset));
+                return `${context.dataset.label}: ${text}`;
+            }
+        };
+        // Dates in the reader's language rather than the date adapter's English
+        if (xAxis.type === 'time') {
+            tooltipCallbacks.title = ([item]) => item ? formatDate(item.parsed.x, { dateStyle: 'medium' }) : '';
+        }
+
+        const scales = {
+            x: { ...xAxis, stacked: Boolean(card.stacked) },
+            y: {
+                ...card.yAxis,
+                stacked: Boolean(card.stacked),
+                ticks: {
+                    color: '#CCCCCC',
+                    callback: (value) => formatValue(value, format)
+                },
+                grid: { color: 'rgba(255, 255, 255, 0.1)' }
+            }
+        };
+
+        // Only drawn when a series uses it; a panel axis gets its own strip under the main chart
+        const secondaryAxis = card.secondaryAxis && datasets.some(dataset => dataset.yAxisID === card.secondaryAxis.id)
+            ? card.secondaryAxis
+            : null;
+
+        if (secondaryAxis && secondaryAxis.panel) {
+            scales.y.stack = 'panels';
+            scales.y.stackWeight = 3;
+            scales[secondaryAxis.id] = {
+                position: 'left',
+                stack: 'panels',
+                stackWeight: 1,
+                offset: true,
+                beginAtZero: true,
+                title: {
+                    display: true,
+                    text: secondaryAxis.title,
+                    color: '#CCCCCC'
+                },
+                ticks: {
+                    color: '#CCCCCC',
+                    maxTicksLimit: 3,
+                    callback: (value) => formatValue(value, secondaryAxis.format)
+                },
+                grid: { color: 'rgba(255, 255, 255, 0.1)' }
+            };
+        } else if (secondaryAxis) {
+            scales[card.secondaryAxis.id] = {
+                position: 'right',
+                beginAtZero: true,
+                title: {
+                    display: true,
+                    text: card.secondaryAxis.title,
+                    color: '#CCCCCC'
+                },
+                ticks: {
+                    color: '#CCCCCC',
+                    callback: (value) => formatValue(value, card.secondaryAxis.format)
+                },
+                // Only the left axis draws grid lines
+                grid: { drawOnChartArea: false }
+            };
+        }
+
+        return {
+            type: chartType,
+            data: { labels, datasets },
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
+                interaction: interaction || (datasets.length > 1 ? { mode: 'index', intersect: false } : undefined),
                 plugins: {
-                    legend: { display: false },
-                    annotation: {
-                        annotations: {
-                            good: {
-                                type: 'line',
-                                yMin: 15,
-                                yMax: 15,
-                                borderColor: '#00CC00',
-                                borderWidth: 2,
-                                borderDash: [5, 5],
-                                label: {
-                                    content: 'Good (15%)',
-                                    enabled: true,
-                                    position: 'start',
-                                    backgroundColor: '#00CC00',
-                                    color: '#000'
-                                }
-                            },
-                            great: {
-                                type: 'line',
-                                yMin: 20,
-                                yMax: 20,
-                                borderColor: '#FFF2CC',
-                                borderWidth: 2,
-                                borderDash: [5, 5],
-                                label: {
-                                    content: 'Great (20%)',
-                                    enabled: true,
-                                    position: 'start',
-                                    backgroundColor: '#FFF2CC',
-                                    color: '#000'
-                                }
-                            },
-                            exceptional: {
-                                type: 'line',
-                                yMin: 25,
-                                yMax: 25,
-                                borderColor: '#CC0000',
-                                borderWidth: 2,
-                                borderDash: [5, 5],
-                                label: {
-                                    content: 'Exceptional (25%)',
-                                    enabled: true,
-                                    position: 'start',
-                                    backgroundColor: '#CC0000',
-                                    color: '#FFF'
-                                }
-                            }
-                        }
-                    }
+                    // A single series is explained by the card title
+                    legend: datasets.length > 1
+                        ? { labels: { color: '#CCCCCC' } }
+                        : { display: false },
+                    tooltip: { callbacks: tooltipCallbacks },
+                    annotation: { annotations }
                 },
-                scales: {
-                    x: {
-                        title: {
-                            display: true,
-                            text: 'Last 4 Reported Quarters',
-                            color: '#CCCCCC',
-                            font: {
-                                size: 16,
-                                weight: 'bold'
-                            },
-                            align: 'center'
-                        },
-                        ticks: { color: '#CCCCCC' },
-                        grid: { color: 'rgba(255, 255, 255, 0.1)' }
-                    },
-                    y: {
-                        min: 0,
-                        max: 35,
-                        ticks: { 
-                            color: '#CCCCCC',
-                            callback: function(value) {
-                                return value + '%';
-                            }
-                        },
-                        grid: { color: 'rgba(255, 255, 255, 0.1)' }
-                    }
-                }
+                scales
             }
-        });
+        };
+    }
+
+    buildCategoryAxis(title, tickFont = undefined) {
+        return {
+            title: {
+                display: Boolean(title),
+                text: title || '',
+                color: '#CCCCCC',
+                font: {
+                    size: 16,
+                    weight: 'bold'
+                },
+                align: 'center'
+            },
+            ticks: { color: '#CCCCCC', font: tickFont },
+            grid: { color: 'rgba(255, 255, 255, 0.1)' }
+        };
+    }
+
+    buildTimeAxis() {
+        const unit = PRICE_RANGES[this.viewOptions.priceRange].unit;
+        return {
+            type: 'time',
+            time: { unit },
+            ticks: {
+                color: '#CCCCCC',
+                callback: (value) => formatDate(value, TIME_TICK_FORMATS[unit])
+            },
+            grid: { color: 'rgba(255, 255, 255, 0.1)' }
+        };
+    }
+
+    buildBenchmarkAnnotations(benchmarks, comparison) {
+        // Compare mode keeps only the marked lines, drawn thinner, so they don't
+        // get mistaken for a company using the same palette color
+        const annotations = {};
+        benchmarks
+            .filter(benchmark => !comparison || benchmark.inComparison)
+            .forEach((benchmark, index) => {
+                annotations[`benchmark${index}`] = {
+                    type: 'line',
+                    yMin: benchmark.value,
+                    yMax: benchmark.value,
+                    borderColor: benchmark.color,
+                    borderWidth: comparison ? 1 : 2,
+                    borderDash: [5, 5],
+                    label: {
+                        content: benchmark.label,
+                        display: true,
+                        position: 'start',
+                        backgroundColor: benchmark.color,
+                        color: benchmark.textColor || '#000'
+                    }
+                };
+            });
+        return annotations;
     }
 
     handleApiError(error) {
-        let errorMessage = 'Unable to fetch data. Please try again.';
+        let errorMessage = t('errors.fetchFailed');
         
-        if (error.message === 'UNSUPPORTED_SYMBOL') {
-            errorMessage = `Free tier only supports: ${this.freeTierSymbols.join(', ')}. Try AAPL, TSLA, or MSFT.`;
-        } else if (error.message === 'API_RATE_LIMIT') {
-            errorMessage = 'API rate limit exceeded. Please wait a moment and try again.';
+        if (error.message === 'API_RATE_LIMIT') {
+            if (error.retryAfter) {
+                this.startRateLimitCountdown(error.retryAfter, error.scope);
+                return;
+            }
+            errorMessage = t('errors.rateLimit');
         } else if (error.message === 'API_AUTH_ERROR') {
-            errorMessage = 'This feature requires a premium Financial Modeling Prep subscription.';
+            errorMessage = t('errors.auth');
         } else if (error.message === 'NO_DATA') {
-            errorMessage = 'No data available for this ticker. Please try a different company.';
+            errorMessage = t('errors.noData');
         } else if (error.message === 'INVALID_TICKER') {
-            errorMessage = 'Invalid ticker symbol. Please check the symbol and try again.';
+            errorMessage = this.provider.isOffline ? t('errors.noSampleData') : t('errors.invalidTicker');
+        } else if (error.message === 'NOT_A_COMPANY') {
+            errorMessage = t('errors.notACompany');
+        } else if (error.message === 'INVALID_ASSIGNMENT') {
+            errorMessage = t('errors.invalidAssignment');
+        } else if (error.message === 'ASSIGNMENT_NOT_FOUND') {
+            errorMessage = t('errors.assignmentNotFound');
+        } else if (error.message === 'API_PROXY_ERROR') {
+            errorMessage = t('errors.proxy');
         } else if (error.message.includes('API_ERROR')) {
-            errorMessage = 'API service temporarily unavailable. Please try again later.';
+            errorMessage = t('errors.unavailable');
+        }
+
+        // In compare mode, say which company the problem was with
+        if (error.ticker && this.currentTickers.length > 1) {
+            errorMessage = t('errors.forTicker', { ticker: error.ticker, message: errorMessage });
         }
 
         this.showError(errorMessage);
     }
 
+    startRateLimitCountdown(retryAfter, scope) {
+        const searchButton = document.getElementById('searchButton');
+        const resumeAt = Date.now() + retryAfter * 1000;
+
+        const messageFor = (secondsLeft) => {
+            const wait = this.formatWaitTime(secondsLeft);
+            if (scope === 'day') {
+                return t('errors.dailyLimit', { wait });
+            }
+            if (scope === 'quota') {
+                return t('errors.sharedQuota', { wait });
+            }
+            return t('errors.shortLimit', { wait });
+        };
+
+        const tick = () => {
+            const secondsLeft = Math.ceil((resumeAt - Date.now()) / 1000);
+            if (secondsLeft <= 0) {
+                this.stopRateLimitCountdown();
+                this.hideError();
+                return;
+            }
+            this.showError(messageFor(secondsLeft));
+        };
+
+        this.stopRateLimitCountdown();
+        searchButton.disabled = true;
+        tick();
+        this.rateLimitTimer = setInterval(tick, 1000);
+    }
+
+    stopRateLimitCountdown() {
+        if (this.rateLimitTimer) {
+            clearInterval(this.rateLimitTimer);
+            this.rateLimitTimer = null;
+        }
+        document.getElementById('searchButton').disabled = false;
+    }
+
+    formatWaitTime(totalSeconds) {
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+
+        if (hours > 0) {
+            return t('errors.waitHours', { hours, minutes });
+        }
+        return `${minutes}:${String(seconds).padStart(2, '0')}`;
+    }
+
     showError(message) {
         const errorElement = document.getElementById('errorMessage');
         errorElement.textContent = message;
@@ -801,6 +1913,8 @@ class FinanceTeacher {
 
     showCharts() {
         document.getElementById('chartsContainer').classList.remove('hidden');
+        document.getElementById('refreshButton').classList.remove('hidden');
+        document.getElementById('printButton').classList.remove('hidden');
     }
 
     hideCharts() {
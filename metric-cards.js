@@ -0,0 +1,242 @@
+// Finance Teacher - Metric card registry
+// Every chart card on the dashboard is declared here as data. FinanceTeacher builds the
+// card markup, the Chart.js chart and the glossary tooltip from these definitions, so a
+// new metric (margins, EPS growth, dividend yield...) is one more entry in METRIC_CARDS.
+// Its text comes from the cards.<id>.* messages in locales/.
+//
+// Card fields:
+//   id             element id prefix: `${id}Card`, `${id}Title`, `${id}Label`, `${id}Chart`
+//   title          heading text, or view => text where view is { comparison, rangeLabel, span }
+//   label          educational label under the heading; compareLabel replaces it in compare mode
+//   details        extra educational labels (optional)
+//   note           { id, html } educational note, hidden until the app shows it (optional)
+//   snapshot       rows are period-end snapshots (balance sheets), never summed into TTM (optional)
+//   tooltip        { title, html } glossary tooltip behind the ⓘ button (optional)
+//   controls       'price' for the price range selector, 'periods' for reporting + period selectors
+//   sources        datasets the card is built from, for its "data as of" line
+//   chartType      'line' or 'bar'
+//   xAxis          'time' for daily prices; otherwise one label per reporting period
+//   format         y-axis value format, a key of VALUE_FORMATS
+//   yAxis          extra options for the y scale (optional)
+//   secondaryAxis  { id, title, format, panel } right-hand scale for series with a matching axis, or
+//                  with panel a strip of its own under the main chart (optional)
+//   stacked        stack the bars (optional)
+//   series         one per dataset: { field, label, color, type, dashed, axis, pointStyle, inComparison,
+//                  overlay, fill }; overlay names a PRICE_OVERLAYS id the series is drawn for,
+//                  fill is a Chart.js fill option
+//   extract        (company, app) => rows, oldest first, each with period/date and the series fields
+//   comparison     how compare mode draws the card:
+//                    'rebased'  one line per company, rebased to 100
+//                    'total'    bars per company, summed over the periods (latest TTM only)
+//                    'latest'   bars per company from its most recent period
+//                    'calendar' one line per company for the first series, by calendar period
+//   comparisonLabel (rows, ticker) => legend text for a company in 'calendar' mode (optional)
+//   benchmarks     reference lines { value, label, color, textColor, inComparison } (optional);
+//                  for a card with peers these are the fallback when there's no peer group
+//   peers          { metric, label, format } compare the latest value of a PeerBenchmarks metric
+//                  with the company's peers: the median becomes the benchmark line and a badge
+//                  shows the company's percentile (optional)
+//   annotate       (rows, company, app) => extra chartjs-plugin-annotation annotations in single
+//                  company mode (optional)
+//   narrate        (rows, narrator, benchmarks) => plain-English sentences from NarrativeEngine;
+//                  benchmarks are the lines drawn on the chart
+//   callout        (rows, app, ticker) => message or null for the card's callout (optional),
+//                  shown after the calloutTitle heading
+
+// Numbers and money in the reader's locale; money is in the currency the companies report in (app.currency)
+const VALUE_FORMATS = {
+    price: (value, app) => formatCurrency(value, app.currency),
+    billions: (value, app) => app.formatSignedBillions(value),
+    ratio: (value) => formatDecimal(value, 1),
+    percent: (value) => formatPercentage(value / 100),
+    shares: (value) => formatCompactNumber(value),
+    multiple: (value) => formatDecimal(value, 1) + 'x',
+    index: (value) => formatDecimal(value, 0)
+};
+
+const METRIC_CARDS = [
+    {
+        id: 'price',
+        title: (view) => t(view.comparison ? 'cards.price.compareTitle' : 'cards.price.title', { range: view.rangeLabel }),
+        label: t('cards.price.label'),
+        compareLabel: t('cards.price.compareLabel'),
+        controls: 'price',
+        sources: ['prices'],
+        chartType: 'line',
+        xAxis: 'time',
+        format: 'price',
+        secondaryAxis: { id: 'volume', title: t('cards.price.volume'), format: 'shares', panel: true },
+        series: [
+            { field: 'close', label: t('cards.price.close'), color: '#FFF2CC' },
+            { field: 'sma50', label: t('cards.price.sma50'), color: '#00CC00', overlay: 'sma50' },
+            { field: 'sma200', label: t('cards.price.sma200'), color: '#CC0000', overlay: 'sma200' },
+            // Shades the gap down to the price line
+            { field: 'peak', label: t('cards.price.peak'), color: '#CCCCCC', dashed: true, overlay: 'drawdown', fill: { target: 0, above: 'rgba(204, 0, 0, 0.25)' } },
+            { field: 'volume', label: t('cards.price.volume'), color: 'rgba(204, 204, 204, 0.5)', type: 'bar', axis: 'volume', overlay: 'volume' }
+        ],
+        extract: (company, app) => app.processStockPriceData(company.prices, app.viewOptions.priceRange, app.viewOptions.overlays),
+        comparison: 'rebased',
+        // Earnings reports, colored by how the stock moved in the days after
+        annotate: (rows, company, app) => app.buildEarningsAnnotations(rows, company.income),
+        narrate: (rows, narrator) => narrator.describePrice(rows)
+    },
+    {
+        id: 'fundamentals',
+        title: (view) => view.comparison ? t('cards.fundamentals.compareTitle', { span: view.span }) : t('cards.fundamentals.title'),
+        label: t('cards.fundamentals.label'),
+        compareLabel: t('cards.fundamentals.compareLabel'),
+        note: { id: 'seasonalityNote', html: t('cards.fundamentals.seasonality') },
+        controls: 'periods',
+        sources: ['income'],
+        chartType: 'bar',
+        format: 'billions',
+        series: [
+            { field: 'revenue', label: t('cards.fundamentals.revenue'), color: '#FFF2CC' },
+            { field: 'expenses', label: t('cards.fundamentals.expenses'), color: '#CC0000' },
+            { field: 'profit', label: t('cards.fundamentals.profit'), color: '#00CC00' }
+        ],
+        extract: (company, app) => app.processFundamentalsData(company.income, app.viewOptions.periods),
+        comparison: 'total',
+        narrate: (rows, narrator) => narrator.describeFundamentals(rows)
+    },
+    {
+        id: 'cashFlow',
+        title: (view) => view.comparison ? t('cards.cashFlow.compareTitle', { span: view.span }) : t('cards.cashFlow.title'),
+        label: t('cards.cashFlow.label'),
+        compareLabel: t('cards.cashFlow.compareLabel'),
+        tooltip: { title: t('cards.cashFlow.tooltipTitle'), html: t('cards.cashFlow.tooltip') },
+        controls: 'periods',
+        sources: ['cashflow'],
+        chartType: 'bar',
+        format: 'billions',
+        series: [
+            { field: 'operatingCashFlow', label: t('cards.cashFlow.operating'), color: '#FFF2CC' },
+            // Capital expenditures are negative: cash going out
+            { field: 'capitalExpenditure', label: t('cards.cashFlow.capex'), color: '#CC0000' },
+            { field: 'freeCashFlow', label: t('cards.cashFlow.free'), color: '#00CC00' },
+            // Drawn over the bars so the gap between profit and cash stands out
+            { field: 'netIncome', label: t('cards.cashFlow.netIncome'), color: '#CCCCCC', type: 'line', dashed: true, inComparison: false }
+        ],
+        extract: (company, app) => app.processCashFlowData(company.cashFlow, app.viewOptions.periods),
+        comparison: 'total',
+        narrate: (rows, narrator) => narrator.describeCashFlow(rows),
+        callout: (rows, app, ticker) => app.findCashFlowDivergence(rows, ticker),
+        calloutTitle: t('cards.cashFlow.calloutTitle')
+    },
+    {
+        id: 'balance',
+        title: (view) => t(view.comparison ? 'cards.balance.compareTitle' : 'cards.balance.title'),
+        label: t('cards.balance.label'),
+        compareLabel: t('cards.balance.compareLabel'),
+        details: [t('cards.balance.ratios')],
+        note: { id: 'balanceSnapshotNote', html: t('cards.balance.snapshotNote') },
+        snapshot: true,
+        controls: 'periods',
+        sources: ['balance'],
+        chartType: 'bar',
+        format: 'billions',
+        stacked: true,
+        secondaryAxis: { id: 'ratio', title: t('cards.balance.ratioAxis'), format: 'multiple' },
+        // Liabilities and equity stack up to total assets
+        series: [
+            { field: 'totalLiabilities', label: t('cards.balance.liabilities'), color: '#CC0000' },
+            { field: 'totalEquity', label: t('cards.balance.equity'), color: '#00CC00' },
+            { field: 'debtToEquity', label: t('cards.balance.debtToEquity'), color: '#FFF2CC', type: 'line', axis: 'ratio', pointStyle: 'rectRot' },
+            { field: 'currentRatio', label: t('cards.balance.currentRatio'), color: '#CCCCCC', type: 'line', axis: 'ratio', dashed: true }
+        ],
+        extract: (company, app) => app.processBalanceSheetData(company.balance, app.viewOptions.periods),
+        comparison: 'latest',
+        narrate: (rows, narrator) => narrator.describeBalance(rows)
+    },
+    {
+        id: 'pe',
+        title: t('cards.pe.title'),
+        label: t('cards.pe.label'),
+        tooltip: { title: t('cards.pe.tooltipTitle'), html: t('cards.pe.tooltip') },
+        controls: 'periods',
+        sources: ['income', 'prices'],
+        chartType: 'line',
+        format: 'ratio',
+        yAxis: { beginAtZero: true },
+        series: [
+            { field: 'pe', label: t('cards.pe.series'), color: '#FFF2CC' }
+        ],
+        // P/E needs the price history to value each period's trailing earnings
+        extract: (company, app) => app.processMetricsData(company.income, company.prices, company.balance, app.viewOptions.periods),
+        comparison: 'calendar',
+        narrate: (rows, narrator) => narrator.describePE(rows),
+        peers: { metric: 'pe', label: t('cards.pe.peerLabel'), format: 'multiple' },
+        // P/E is blank while a company loses money; say so in the legend
+        comparisonLabel: (rows, ticker) => rows.some(row => row.peNotMeaningful) ? t('cards.pe.losingMoney', { ticker }) : ticker,
+        // Shade periods where trailing earnings were zero or negative
+        annotate: (rows) => {
+            const annotations = {};
+            rows.forEach((row, index) => {
+                if (!row.peNotMeaningful) return;
+
+                annotations[`notMeaningful${index}`] = {
+                    type: 'box',
+                    xMin: index - 0.5,
+                    xMax: index + 0.5,
+                    backgroundColor: 'rgba(204, 0, 0, 0.15)',
+                    borderColor: '#CC0000',
+                    borderWidth: 1,
+                    borderDash: [4, 4],
+                    label: {
+                        content: [t('cards.notMeaningful'), t('cards.pe.noProfit')],
+                        display: true,
+                        position: 'center',
+                        color: '#CC0000',
+                        font: { size: 11, weight: 'bold' }
+                    }
+                };
+            });
+            return annotations;
+        }
+    },
+    {
+        id: 'roe',
+        title: t('cards.roe.title'),
+        label: t('cards.roe.label'),
+        tooltip: { title: t('cards.roe.tooltipTitle'), html: t('cards.roe.tooltip') },
+        controls: 'periods',
+        sources: ['income', 'balance'],
+        chartType: 'bar',
+        format: 'percent',
+        // Suggested range keeps the benchmark lines in view without
+        // cutting off negative or very high ROE
+        yAxis: { suggestedMin: 0, suggestedMax: 30 },
+        series: [
+            { field: 'roe', label: t('cards.roe.series'), color: '#FFF2CC' }
+        ],
+        // ROE needs the balance sheet for shareholders' equity
+        extract: (company, app) => app.processMetricsData(company.income, company.prices, company.balance, app.viewOptions.periods),
+        comparison: 'calendar',
+        narrate: (rows, narrator, benchmarks) => narrator.describeROE(rows, benchmarks),
+        peers: { metric: 'roe', label: t('cards.roe.peerLabel'), format: 'percent' },
+        // Rules of thumb for when the company's peers can't be loaded
+        benchmarks: [
+            { value: 15, label: t('cards.roe.good', { value: VALUE_FORMATS.percent(15) }), color: '#00CC00', inComparison: true },
+            { value: 20, label: t('cards.roe.great', { value: VALUE_FORMATS.percent(20) }), color: '#FFF2CC' },
+            { value: 25, label: t('cards.roe.exceptional', { value: VALUE_FORMATS.percent(25) }), color: '#CC0000', textColor: '#FFF' }
+        ]
+    },
+    {
+        id: 'margin',
+        title: t('cards.margin.title'),
+        label: t('cards.margin.label'),
+        tooltip: { title: t('cards.margin.tooltipTitle'), html: t('cards.margin.tooltip') },
+        controls: 'periods',
+        sources: ['income'],
+        chartType: 'bar',
+        format: 'percent',
+        yAxis: { suggestedMin: 0 },
+        series: [
+            { field: 'netMargin', label: t('cards.margin.series'), color: '#00CC00' }
+        ],
+        extract: (company, app) => app.processMarginData(company.income, app.viewOptions.periods),
+        comparison: 'calendar',
+        narrate: (rows, narrator, benchmarks) => narrator.describeMargin(rows, benchmarks),
+        peers: { metric: 'netMargin', label: t('cards.margin.peerLabel'), format: 'percent' }
+    }
+];
@@ -0,0 +1,293 @@
+// Finance Teacher - Narrative engine
+// Turns the processed rows behind each chart card into a few plain-language sentences.
+// Rule-based and deterministic: the same rows always tell the same story in a given
+// language, with no network calls and no DOM, so it can be checked directly against the
+// fixtures. Sentences are narrative.* messages; numbers and months use the reader's locale.
+//
+// Every describe method takes the card's rows (oldest first, see metric-cards.js) and
+// returns an array of sentences, empty when there is nothing worth saying.
+
+// Changes smaller than this read as "about the same"
+const FLAT_CHANGE = 0.01;
+
+class NarrativeEngine {
+    constructor({
+        formatMoney = (billions) => formatCompactCurrency(billions * 1e9, 'USD'),
+        formatPrice = (price) => formatCurrency(price, 'USD')
+    } = {}) {
+        // Statement values are in billions; the app passes formatters in the companies' currency
+        this.formatMoney = formatMoney;
+        this.formatPrice = formatPrice;
+    }
+
+    describePrice(rows) {
+        if (rows.length < 2) return [];
+
+        const first = rows[0];
+        const last = rows[rows.length - 1];
+        const change = this.change(first.close, last.close);
+        const sentences = [t('narrative.price.change', {
+            from: formatMonthYear(first.date),
+            to: formatMonthYear(last.date),
+            change: this.describeChange(change, 'narrative.price'),
+            first: this.formatPrice(first.close),
+            last: this.formatPrice(last.close)
+        })];
+
+        // Earliest date wins a tie, so the story doesn't change with a repeat of the same high
+        const peak = rows.reduce((max, row) => row.close > max.close ? row : max, first);
+        const fromPeak = this.change(peak.close, last.close);
+
+        const fromHigh = { percent: this.formatPercent(fromPeak), month: formatMonthYear(peak.date) };
+        if (fromPeak > -0.02) {
+            sentences.push(t('narrative.price.nearHigh'));
+        } else if (fromPeak <= -0.1) {
+            sentences.push(t('narrative.price.fellFromHigh', fromHigh));
+        } else {
+            sentences.push(t('narrative.price.dip', fromHigh));
+        }
+
+        return sentences;
+    }
+
+    describeFundamentals(rows) {
+        if (rows.length === 0) return [];
+
+        const first = rows[0];
+        const last = rows[rows.length - 1];
+        const sentences = [];
+
+        if (rows.length > 1) {
+            const revenueChange = this.change(first.revenue, last.revenue);
+            const expenseChange = this.change(first.expenses, last.expenses);
+            const profitChange = last.profit - first.profit;
+            const profitVerb = Math.abs(profitChange) < Math.abs(first.profit) * FLAT_CHANGE
+                ? t('narrative.profitFlat')
+                : t(profitChange > 0 ? 'narrative.profitUp' : 'narrative.profitDown');
+
+            // "so" only when the revenue/expense race explains the profit direction
+            const explains = (revenueChange > expenseChange) === (profitChange > 0);
+            sentences.push(t(explains ? 'narrative.fundamentals.so' : 'narrative.fundamentals.and', {
+                revenue: this.describeChange(revenueChange, 'narrative.amount'),
+                expenses: this.describeChange(expenseChange, 'narrative.amount'),
+                from: first.period,
+                to: last.period,
+                profit: profitVerb
+            }));
+        }
+
+        if (first.profit < 0 && last.profit >= 0 && rows.length > 1) {
+            sentences.push(t('narrative.fundamentals.toProfit', { from: first.period, to: last.period }));
+        } else if (first.profit >= 0 && last.profit < 0 && rows.length > 1) {
+            sentences.push(t('narrative.fundamentals.toLoss', { from: first.period, to: last.period }));
+        } else if (last.profit < 0) {
+            sentences.push(t('narrative.fundamentals.loss', { period: last.period, loss: this.formatMoney(-last.profit) }));
+        } else if (last.revenue > 0) {
+            sentences.push(t('narrative.fundamentals.kept', {
+                period: last.period,
+                percent: this.formatPercent(last.profit / last.revenue),
+                profit: this.formatMoney(last.profit)
+            }));
+        }
+
+        return sentences;
+    }
+
+    describeCashFlow(rows) {
+        if (rows.length === 0) return [];
+
+        const last = rows[rows.length - 1];
+        const sentences = [];
+
+        if (last.freeCashFlow >= 0) {
+            sentences.push(t('narrative.cashFlow.kept', {
+                period: last.period,
+                operating: this.formatMoney(last.operatingCashFlow),
+                capex: this.formatMoney(-last.capitalExpenditure),
+                free: this.formatMoney(last.freeCashFlow)
+            }));
+        } else {
+            sentences.push(t('narrative.cashFlow.usedUp', { period: last.period, amount: this.formatMoney(-last.freeCashFlow) }));
+        }
+
+        if (rows.length > 1) {
+            const negative = rows.filter(row => row.freeCashFlow < 0).length;
+            if (negative === 0) {
+                sentences.push(t('narrative.cashFlow.allPositive'));
+            } else if (negative === rows.length) {
+                sentences.push(t('narrative.cashFlow.allNegative'));
+            } else {
+                sentences.push(t('narrative.cashFlow.someNegative', { negative, total: rows.length }));
+            }
+        }
+
+        return sentences;
+    }
+
+    describeBalance(rows) {
+        if (rows.length === 0) return [];
+
+        const first = rows[0];
+        const last = rows[rows.length - 1];
+        const sentences = [];
+
+        if (last.totalEquity < 0) {
+            sentences.push(t('narrative.balance.negativeEquity', { period: last.period, equity: this.formatMoney(last.totalEquity) }));
+        } else if (last.totalAssets > 0) {
+            sentences.push(t('narrative.balance.assets', {
+                period: last.period,
+                assets: this.formatMoney(last.totalAssets),
+                borrowed: this.formatPercent(last.totalLiabilities / last.totalAssets),
+                owned: this.formatPercent(last.totalEquity / last.totalAssets)
+            }));
+        }
+
+        if (rows.length > 1 && first.debtToEquity !== null && last.debtToEquity !== null) {
+            // Compare what the student will read, so it never says "rose from 0.6x to 0.6x"
+            const from = formatDecimal(first.debtToEquity, 1);
+            const to = formatDecimal(last.debtToEquity, 1);
+            if (from === to) {
+                sentences.push(t('narrative.balance.debtFlat', { value: to }));
+            } else {
+                sentences.push(t(last.debtToEquity > first.debtToEquity ? 'narrative.balance.debtUp' : 'narrative.balance.debtDown', { from, to }));
+            }
+        }
+
+        if (last.currentRatio !== null) {
+            const value = formatDecimal(last.currentRatio, 1);
+            sentences.push(t(last.currentRatio < 1 ? 'narrative.balance.currentLow' : 'narrative.balance.currentOk', { value }));
+        }
+
+        return sentences;
+    }
+
+    describePE(rows) {
+        const valid = rows.filter(row => row.pe !== null);
+        const notMeaningful = rows.filter(row => row.peNotMeaningful).length;
+        const sentences = [];
+
+        if (valid.length === 0) {
+            return notMeaningful > 0 ? [t('narrative.pe.neverMeaningful')] : [];
+        }
+
+        const first = valid[0];
+        const last = valid[valid.length - 1];
+
+        if (valid.length > 1) {
+            const change = {
+                from: formatDecimal(first.pe, 1),
+                to: formatDecimal(last.pe, 1),
+                first: first.period,
+                last: last.period
+            };
+            if (change.from === change.to) {
+                sentences.push(t('narrative.pe.flat', { value: change.to }));
+            } else {
+                sentences.push(t(last.pe > first.pe ? 'narrative.pe.up' : 'narrative.pe.down', change));
+            }
+        }
+
+        sentences.push(t('narrative.pe.meaning', { value: formatDecimal(last.pe, 0) }));
+
+        if (notMeaningful > 0) {
+            sentences.push(t('narrative.pe.someNotMeaningful', { count: notMeaningful }));
+        }
+
+        return sentences;
+    }
+
+    describeROE(rows, benchmarks = []) {
+        const valid = rows.filter(row => row.roe !== null);
+        if (valid.length === 0) return [];
+
+        const first = valid[0];
+        const last = valid[valid.length - 1];
+        const sentences = [];
+
+        if (last.roe < 0) {
+            sentences.push(t('narrative.roe.negative', { value: this.formatPoints(last.roe), period: last.period }));
+        } else {
+            sentences.push(t('narrative.roe.latest', {
+                value: this.formatPoints(last.roe),
+                period: last.period,
+                benchmark: this.compareToBenchmarks(last.roe, benchmarks)
+            }));
+        }
+
+        if (valid.length > 1) {
+            const points = last.roe - first.roe;
+            if (Math.abs(points) >= 1) {
+                sentences.push(t(points > 0 ? 'narrative.upFrom' : 'narrative.downFrom', { value: this.formatPoints(first.roe), period: first.period }));
+            }
+        }
+
+        if (last.roe > 100) {
+            sentences.push(t('narrative.roe.veryHigh'));
+        }
+
+        return sentences;
+    }
+
+    describeMargin(rows, benchmarks = []) {
+        const valid = rows.filter(row => row.netMargin !== null);
+        if (valid.length === 0) return [];
+
+        const first = valid[0];
+        const last = valid[valid.length - 1];
+        const sentences = [];
+
+        if (last.netMargin < 0) {
+            sentences.push(t('narrative.margin.negative', { value: this.formatPoints(last.netMargin), period: last.period }));
+        } else {
+            sentences.push(t('narrative.margin.latest', {
+                value: this.formatPoints(last.netMargin),
+                period: last.period,
+                benchmark: this.compareToBenchmarks(last.netMargin, benchmarks),
+                cents: Math.round(last.netMargin)
+            }));
+        }
+
+        if (valid.length > 1) {
+            const points = last.netMargin - first.netMargin;
+            if (Math.abs(points) >= 1) {
+                sentences.push(t(points > 0 ? 'narrative.upFrom' : 'narrative.downFrom', { value: this.formatPoints(first.netMargin), period: first.period }));
+            }
+        }
+
+        return sentences;
+    }
+
+    // ", above the 'Great (20%)' line": the highest line it clears, or the lowest line it is still under
+    compareToBenchmarks(value, benchmarks) {
+        const lines = [...benchmarks].sort((a, b) => a.value - b.value);
+        const cleared = lines.filter(line => value >= line.value).pop();
+        if (cleared) {
+            return t('narrative.aboveLine', { label: cleared.label });
+        }
+        return lines.length > 0 ? t('narrative.belowLine', { label: lines[0].label }) : '';
+    }
+
+    change(from, to) {
+        if (!from) return 0;
+        return (to - from) / Math.abs(from);
+    }
+
+    // verbs: a message prefix with Up, Down and Flat forms, since languages agree the verb
+    // with its subject ("the stock rose", "revenue grew")
+    describeChange(fraction, verbs) {
+        if (Math.abs(fraction) < FLAT_CHANGE) {
+            return t(`${verbs}Flat`);
+        }
+        return t(fraction > 0 ? `${verbs}Up` : `${verbs}Down`, { percent: this.formatPercent(fraction) });
+    }
+
+    // 0.081 -> "8%", always positive; the sentence says which way it went
+    formatPercent(fraction) {
+        return formatPercentage(Math.abs(fraction));
+    }
+
+    // ROE and margins are already in percent: 15.2 -> "15%"
+    formatPoints(value) {
+        return formatPercentage(value / 100);
+    }
+}
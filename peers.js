@@ -0,0 +1,124 @@
+// Finance Teacher - Peer benchmarks
+// Judges a company against companies like it instead of one fixed rule for everyone: a bank
+// and a software company earn very different returns. The provider picks the peer group from
+// the company's industry or sector. Every member, the company included, is measured the same
+// way from its latest four quarters, and the peer medians become the benchmark lines on the
+// P/E, ROE and net margin cards.
+
+// Requests the provider makes for the peer group (profile and screener) and for each peer
+// (prices, income statements and balance sheets); peers load within its request budget
+const PEER_GROUP_REQUESTS = 2;
+const PEER_REQUESTS = 3;
+
+class PeerBenchmarks {
+    constructor({ provider, loadMetrics }) {
+        this.provider = provider;
+        // ticker => { pe, roe, netMargin }, null where a metric isn't meaningful
+        this.loadMetrics = loadMetrics;
+
+        // ticker => result, or null when the company has no peer group
+        this.results = {};
+        this.requests = {};
+    }
+
+    // undefined while not loaded yet
+    get(ticker) {
+        return this.results[ticker];
+    }
+
+    // One request per company however often it is rendered while loading
+    load(ticker) {
+        if (ticker in this.results) {
+            return Promise.resolve(this.results[ticker]);
+        }
+        if (!this.requests[ticker]) {
+            this.requests[ticker] = this.loadGroup(ticker)
+                .then(result => {
+                    this.results[ticker] = result;
+                    return result;
+                })
+                .catch(error => {
+                    console.warn(`Peer benchmarks for ${ticker} failed:`, error.message);
+
+                    // A limit or a dropped connection passes, so the next render tries again
+                    if (error.message !== 'API_RATE_LIMIT' && error.message !== 'NETWORK_ERROR') {
+                        this.results[ticker] = null;
+                    }
+                    return null;
+                })
+                .finally(() => delete this.requests[ticker]);
+        }
+        return this.requests[ticker];
+    }
+
+    async loadGroup(ticker) {
+        await this.provider.waitForRequestBudget(PEER_GROUP_REQUESTS);
+        const group = await this.provider.getPeerGroup(ticker);
+        if (!group) {
+            return null;
+        }
+
+        const company = await this.loadMetrics(ticker);
+        const peers = [];
+
+        for (const symbol of group.symbols) {
+            const metrics = await this.loadPeer(symbol);
+            if (metrics) {
+                peers.push({ symbol, metrics });
+            }
+        }
+
+        // Too few peers loaded to call it a group
+        if (peers.length < MIN_PEER_GROUP_SIZE) {
+            return null;
+        }
+
+        const medians = {};
+        ['pe', 'roe', 'netMargin'].forEach(metric => {
+            medians[metric] = this.median(peers.map(peer => peer.metrics[metric]).filter(value => value !== null));
+        });
+
+        return { group, company, peers, medians };
+    }
+
+    // A peer that fails is left out; a short rate limit is waited out, a daily one ends the group
+    async loadPeer(symbol) {
+        for (;;) {
+            try {
+                await this.provider.waitForRequestBudget(PEER_REQUESTS);
+                return await this.loadMetrics(symbol);
+            } catch (error) {
+                if (error.message === 'API_RATE_LIMIT' && error.retryAfter && error.scope !== 'day' && error.scope !== 'quota') {
+                    await this.wait(error.retryAfter * 1000);
+                    continue;
+                }
+                if (error.message === 'API_RATE_LIMIT') {
+                    throw error;
+                }
+
+                console.warn(`Peer ${symbol} skipped:`, error.message);
+                return null;
+            }
+        }
+    }
+
+    median(values) {
+        if (values.length === 0) return null;
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    // Where value ranks among the peers' values, counting the company itself as one of the
+    // group, so the top of four peers is the 90th percentile rather than the 100th
+    percentile(value, values) {
+        const below = values.filter(item => item < value).length;
+        const equal = values.filter(item => item === value).length;
+        return Math.round(((below + (equal + 1) / 2) / (values.length + 1)) * 100);
+    }
+
+    wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
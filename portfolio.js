@@ -0,0 +1,560 @@
+// Finance Teacher - Paper trading
+// PaperPortfolio is the simulated account: virtual cash plus a list of trades, saved in
+// localStorage. Positions, cost basis and gains are always recomputed from the trades
+// (average-cost method), so the trade list is the only thing that has to be stored.
+// PortfolioPanel is the card that lets students trade the tickers they searched.
+
+const PORTFOLIO_KEY = 'paperPortfolio';
+const STARTING_CASH = 10000;
+// New accounts hold pretend dollars, whatever language the app is in. The account saves its
+// currency; with no exchange rates to convert with, it only trades companies priced in it.
+const DEFAULT_PORTFOLIO_CURRENCY = 'USD';
+
+class PaperPortfolio {
+    constructor(storage = localStorage) {
+        this.storage = storage;
+        this.state = this.load();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(this.storage.getItem(PORTFOLIO_KEY));
+            if (saved && Array.isArray(saved.trades)) {
+                // Accounts saved before the currency was stored were always dollars
+                return { currency: DEFAULT_PORTFOLIO_CURRENCY, ...saved };
+            }
+        } catch (error) {
+            console.warn('Ignoring unreadable paper portfolio:', error.message);
+        }
+        return { startingCash: STARTING_CASH, currency: DEFAULT_PORTFOLIO_CURRENCY, trades: [] };
+    }
+
+    save() {
+        this.storage.setItem(PORTFOLIO_KEY, JSON.stringify(this.state));
+    }
+
+    reset() {
+        this.state = { startingCash: STARTING_CASH, currency: this.state.currency, trades: [] };
+        this.save();
+    }
+
+    get trades() {
+        return this.state.trades;
+    }
+
+    get startingCash() {
+        return this.state.startingCash;
+    }
+
+    get currency() {
+        return this.state.currency;
+    }
+
+    // Trades replay in date order, so a new one can't go back before the last one
+    get lastTradeDate() {
+        const { trades } = this.state;
+        return trades.length > 0 ? trades[trades.length - 1].date : null;
+    }
+
+    buy(ticker, shares, price, date, currency = this.currency) {
+        this.validateTrade(shares, date, currency);
+        if (shares * price > this.getCash() + 0.005) {
+            throw new Error('NOT_ENOUGH_CASH');
+        }
+        return this.addTrade({ ticker, side: 'buy', shares, price, date });
+    }
+
+    sell(ticker, shares, price, date, currency = this.currency) {
+        this.validateTrade(shares, date, currency);
+        const position = this.getPositions().find(item => item.ticker === ticker);
+        if (!position || position.shares < shares) {
+            throw new Error('NOT_ENOUGH_SHARES');
+        }
+        return this.addTrade({ ticker, side: 'sell', shares, price, date });
+    }
+
+    validateTrade(shares, date, currency) {
+        if (!Number.isInteger(shares) || shares <= 0) {
+            throw new Error('INVALID_SHARES');
+        }
+        if (currency !== this.currency) {
+            throw new Error('FOREIGN_CURRENCY');
+        }
+        if (this.lastTradeDate && date < this.lastTradeDate) {
+            throw new Error('TRADE_BEFORE_LAST_TRADE');
+        }
+    }
+
+    addTrade(trade) {
+        this.state.trades.push({ ...trade, executedAt: new Date().toISOString() });
+        this.save();
+        return trade;
+    }
+
+    getCash(trades = this.state.trades) {
+        return trades.reduce((cash, trade) => {
+            const amount = trade.shares * trade.price;
+            return trade.side === 'buy' ? cash - amount : cash + amount;
+        }, this.state.startingCash);
+    }
+
+    // { ticker, shares, costBasis, averageCost, realizedGain } for every ticker ever traded
+    getPositions(trades = this.state.trades) {
+        const positions = {};
+
+        trades.forEach(trade => {
+            const position = positions[trade.ticker] ||
+                (positions[trade.ticker] = { ticker: trade.ticker, shares: 0, costBasis: 0, realizedGain: 0 });
+
+            if (trade.side === 'buy') {
+                position.shares += trade.shares;
+                position.costBasis += trade.shares * trade.price;
+            } else {
+                // Average cost: each share sold takes its share of the cost basis with it
+                const averageCost = position.costBasis / position.shares;
+                position.realizedGain += (trade.price - averageCost) * trade.shares;
+                position.costBasis -= averageCost * trade.shares;
+                position.shares -= trade.shares;
+            }
+        });
+
+        return Object.values(positions).map(position => ({
+            ...position,
+            averageCost: position.shares > 0 ? position.costBasis / position.shares : 0
+        }));
+    }
+
+    // pricesByTicker: { TICKER: [{ date, close }] } sorted oldest first
+    getValueHistory(pricesByTicker) {
+        const { trades } = this.state;
+        if (trades.length === 0) return [];
+
+        const firstDate = trades[0].date;
+        const tickers = [...new Set(trades.map(trade => trade.ticker))];
+        const dates = [...new Set(tickers.flatMap(ticker => (pricesByTicker[ticker] || []).map(day => day.date)))]
+            .filter(date => date >= firstDate)
+            .sort();
+
+        return dates.map(date => {
+            const tradesSoFar = trades.filter(trade => trade.date <= date);
+            const holdings = this.getPositions(tradesSoFar).reduce((sum, position) => {
+                const day = findPriceOnOrBefore(pricesByTicker[position.ticker] || [], date);
+                return sum + position.shares * (day ? day.close : 0);
+            }, 0);
+
+            return { date, value: this.getCash(tradesSoFar) + holdings };
+        });
+    }
+
+    toJSON() {
+        return {
+            exportedAt: new Date().toISOString(),
+            startingCash: this.state.startingCash,
+            currency: this.state.currency,
+            cash: this.getCash(),
+            positions: this.getPositions(),
+            trades: this.state.trades
+        };
+    }
+}
+
+// Price bar for a date, or the last trading day before it (weekends and holidays)
+function findPriceOnOrBefore(prices, date) {
+    let found = null;
+    for (const day of prices) {
+        if (day.date > date) break;
+        found = day;
+    }
+    return found;
+}
+
+class PortfolioPanel {
+    constructor({ container, portfolio, loadPrices }) {
+        this.container = container;
+        this.portfolio = portfolio;
+        // (ticker, from) => price bars; lets the value chart include tickers not on screen
+        this.loadPrices = loadPrices;
+
+        this.market = {};
+        // The currency each ticker's prices are quoted in, for the tickers searched
+        this.currencies = {};
+        this.chart = null;
+        this.element = this.createElement();
+
+        this.bindEvents();
+    }
+
+    createElement() {
+        const element = document.createElement('section');
+        element.id = 'portfolioCard';
+        element.className = 'chart-card portfolio-panel';
+        element.innerHTML = `
+            <div class="chart-header">
+                <h2>${t('portfolio.heading')}</h2>
+                <p class="educational-label">${t('portfolio.intro', { cash: this.formatMoney(STARTING_CASH, 0) })}</p>
+            </div>
+            <div class="summary-stats" id="portfolioSummary"></div>
+            <form class="trade-form" id="tradeForm">
+                <label>${t('portfolio.company')} <select id="tradeTicker"></select></label>
+                <label>${t('portfolio.date')} <input type="date" id="tradeDate"></label>
+                <label>${t('portfolio.shares')} <input type="number" id="tradeShares" min="1" step="1" value="1"></label>
+                <span class="trade-price" id="tradePrice"></span>
+                <button type="submit" data-side="buy">${t('portfolio.buy')}</button>
+                <button type="submit" data-side="sell">${t('portfolio.sell')}</button>
+            </form>
+            <p class="error-message hidden" id="tradeError"></p>
+            <div class="portfolio-table-wrapper">
+                <table class="portfolio-table" id="positionsTable"></table>
+            </div>
+            <div class="chart-container portfolio-chart">
+                <canvas id="portfolioChart"></canvas>
+            </div>
+            <div class="portfolio-actions">
+                <button type="button" data-format="csv">${t('portfolio.exportCsv')}</button>
+                <button type="button" data-format="json">${t('portfolio.exportJson')}</button>
+                <button type="button" id="resetPortfolio">${t('portfolio.reset')}</button>
+            </div>
+        `;
+        this.container.appendChild(element);
+        return element;
+    }
+
+    bindEvents() {
+        const form = this.element.querySelector('#tradeForm');
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            // submitter is the Buy or Sell button that was pressed
+            this.trade(e.submitter ? e.submitter.dataset.side : 'buy');
+        });
+
+        form.addEventListener('change', (e) => {
+            if (e.target.id === 'tradeTicker') {
+                this.updateDateLimits();
+            } else {
+                this.updateTradePrice();
+            }
+        });
+        this.element.querySelectorAll('button[data-format]').forEach(button => {
+            button.addEventListener('click', () => this.exportTrades(button.dataset.format));
+        });
+        this.element.querySelector('#resetPortfolio').addEventListener('click', () => this.reset());
+    }
+
+    // companies: [{ ticker, prices, currency }] from the latest search
+    setMarket(companies) {
+        companies.forEach(company => {
+            this.market[company.ticker] = [...company.prices].sort((a, b) => a.date.localeCompare(b.date));
+            this.currencies[company.ticker] = company.currency;
+        });
+
+        const select = this.element.querySelector('#tradeTicker');
+        select.innerHTML = '';
+        companies.forEach(company => select.appendChild(new Option(company.ticker, company.ticker)));
+
+        this.updateDateLimits();
+        this.render();
+    }
+
+    updateDateLimits() {
+        const prices = this.market[this.element.querySelector('#tradeTicker').value] || [];
+        if (prices.length === 0) return;
+
+        const dateInput = this.element.querySelector('#tradeDate');
+        const latest = prices[prices.length - 1].date;
+        dateInput.min = this.portfolio.lastTradeDate && this.portfolio.lastTradeDate > prices[0].date
+            ? this.portfolio.lastTradeDate
+            : prices[0].date;
+        dateInput.max = latest;
+        if (!dateInput.value || dateInput.value > latest || dateInput.value < dateInput.min) {
+            dateInput.value = latest;
+        }
+        this.updateTradePrice();
+    }
+
+    getTradeQuote() {
+        const ticker = this.element.querySelector('#tradeTicker').value;
+        const date = this.element.querySelector('#tradeDate').value;
+
+        // Trades fill at the close on that day, or the last trading day before it
+        const day = findPriceOnOrBefore(this.market[ticker] || [], date);
+        const currency = this.currencies[ticker] || this.portfolio.currency;
+        return day ? { ticker, date: day.date, price: day.close, currency } : { ticker, date, price: null, currency };
+    }
+
+    updateTradePrice() {
+        // In the company's own currency, even when the account can't trade it
+        const { price, currency } = this.getTradeQuote();
+        this.element.querySelector('#tradePrice').textContent = price === null ? '' : t('portfolio.price', { price: formatCurrency(price, currency) });
+    }
+
+    trade(side) {
+        const quote = this.getTradeQuote();
+        const { ticker, date, price, currency } = quote;
+        const shares = Number(this.element.querySelector('#tradeShares').value);
+
+        try {
+            if (!ticker || price === null) {
+                throw new Error('NO_PRICE');
+            }
+
+            if (side === 'buy') {
+                this.portfolio.buy(ticker, shares, price, date, currency);
+            } else {
+                this.portfolio.sell(ticker, shares, price, date, currency);
+            }
+
+            this.showTradeError('');
+            this.updateDateLimits();
+            this.render();
+        } catch (error) {
+            this.showTradeError(this.describeTradeError(error, quote));
+        }
+    }
+
+    describeTradeError(error, quote) {
+        switch (error.message) {
+            case 'NOT_ENOUGH_CASH':
+                return t('portfolio.notEnoughCash', { cash: this.formatMoney(this.portfolio.getCash()) });
+            case 'NOT_ENOUGH_SHARES':
+                return t('portfolio.notEnoughShares');
+            case 'INVALID_SHARES':
+                return t('portfolio.invalidShares');
+            case 'TRADE_BEFORE_LAST_TRADE':
+                return t('portfolio.tradeBeforeLast', { date: formatDate(this.portfolio.lastTradeDate) });
+            case 'NO_PRICE':
+                return t('portfolio.noPrice');
+            case 'FOREIGN_CURRENCY':
+                return t('portfolio.foreignCurrency', { ticker: quote.ticker, currency: quote.currency, cash: this.portfolio.currency });
+            default:
+                return t('portfolio.tradeFailed');
+        }
+    }
+
+    showTradeError(message) {
+        const error = this.element.querySelector('#tradeError');
+        error.textContent = message;
+        error.classList.toggle('hidden', !message);
+    }
+
+    async render() {
+        const positions = this.portfolio.getPositions();
+
+        // Tickers bought in earlier sessions need their prices for today's value
+        for (const position of positions) {
+            if (!this.market[position.ticker]) {
+                try {
+                    const prices = await this.loadPrices(position.ticker, this.portfolio.trades[0].date);
+                    this.market[position.ticker] = [...prices].sort((a, b) => a.date.localeCompare(b.date));
+                } catch (error) {
+                    console.warn(`No prices for ${position.ticker}:`, error.message);
+                }
+            }
+        }
+
+        this.renderSummary(positions);
+        this.renderPositions(positions);
+        this.renderChart();
+    }
+
+    latestClose(ticker) {
+        const prices = this.market[ticker] || [];
+        return prices.length > 0 ? prices[prices.length - 1].close : null;
+    }
+
+    renderSummary(positions) {
+        const cash = this.portfolio.getCash();
+        const holdings = positions.reduce((sum, position) => sum + position.shares * (this.latestClose(position.ticker) ?? 0), 0);
+        const total = cash + holdings;
+        const change = total - this.portfolio.startingCash;
+
+        const summary = this.element.querySelector('#portfolioSummary');
+        summary.innerHTML = '';
+        [
+            [t('portfolio.cash'), this.formatMoney(cash)],
+            [t('portfolio.holdings'), this.formatMoney(holdings)],
+            [t('portfolio.total'), this.formatMoney(total)],
+            [t('portfolio.gain'), `${this.formatSignedMoney(change)} (${formatPercentage(change / this.portfolio.startingCash, 1)})`]
+        ].forEach(([label, value]) => {
+            const item = document.createElement('div');
+            item.className = 'summary-stat';
+
+            const labelElement = document.createElement('span');
+            labelElement.textContent = label;
+            const valueElement = document.createElement('strong');
+            valueElement.textContent = value;
+
+            item.append(labelElement, valueElement);
+            summary.appendChild(item);
+        });
+    }
+
+    renderPositions(positions) {
+        const table = this.element.querySelector('#positionsTable');
+
+        if (positions.length === 0) {
+            table.innerHTML = `<tr><td>${t('portfolio.empty')}</td></tr>`;
+            return;
+        }
+
+        table.innerHTML = `
+            <thead>
+                <tr>
+                    <th>${t('portfolio.company')}</th>
+                    <th>${t('portfolio.shares')}</th>
+                    <th>${t('portfolio.averageCost')}</th>
+                    <th>${t('portfolio.latestPrice')}</th>
+                    <th>${t('portfolio.value')}</th>
+                    <th title="${t('portfolio.unrealizedTitle')}">${t('portfolio.unrealized')}</th>
+                    <th title="${t('portfolio.realizedTitle')}">${t('portfolio.realized')}</th>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        `;
+
+        const body = table.querySelector('tbody');
+        positions.forEach(position => {
+            const latest = this.latestClose(position.ticker);
+            const value = latest === null ? null : position.shares * latest;
+            const unrealized = value === null ? null : value - position.costBasis;
+
+            const row = document.createElement('tr');
+            [
+                position.ticker,
+                formatDecimal(position.shares),
+                position.shares > 0 ? this.formatMoney(position.averageCost) : '—',
+                latest === null ? '—' : this.formatMoney(latest),
+                value === null ? '—' : this.formatMoney(value),
+                unrealized === null || position.shares === 0 ? '—' : this.formatSignedMoney(unrealized),
+                this.formatSignedMoney(position.realizedGain)
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        });
+    }
+
+    renderChart() {
+        const history = this.portfolio.getValueHistory(this.market);
+        const container = this.element.querySelector('.portfolio-chart');
+        container.classList.toggle('hidden', history.length === 0);
+
+        if (this.chart) {
+            this.chart.destroy();
+            this.chart = null;
+        }
+        if (history.length === 0) return;
+
+        const ctx = this.element.querySelector('#portfolioChart').getContext('2d');
+        this.chart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                datasets: [{
+                    label: t('portfolio.chartLabel'),
+                    data: history.map(point => ({ x: point.date, y: point.value })),
+                    borderColor: '#FFF2CC',
+                    backgroundColor: 'transparent',
+                    borderWidth: 2,
+                    fill: false,
+                    tension: 0.1,
+                    pointRadius: 0,
+                    pointHoverRadius: 4
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { display: false },
+                    tooltip: {
+                        callbacks: {
+                            title: ([item]) => item ? formatDate(item.parsed.x, { dateStyle: 'medium' }) : '',
+                            label: (context) => this.formatMoney(context.parsed.y)
+                        }
+                    },
+                    annotation: {
+                        annotations: {
+                            start: {
+                                type: 'line',
+                                yMin: this.portfolio.startingCash,
+                                yMax: this.portfolio.startingCash,
+                                borderColor: 'rgba(255, 255, 255, 0.4)',
+                                borderWidth: 1,
+                                borderDash: [5, 5],
+                                label: {
+                                    content: t('portfolio.startingCash'),
+                                    display: true,
+                                    position: 'start',
+                                    backgroundColor: '#2A2A2A',
+                                    color: '#CCCCCC'
+                                }
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'time',
+                        time: { unit: 'month' },
+                        ticks: {
+                            color: '#CCCCCC',
+                            callback: (value) => formatDate(value, { month: 'short', year: 'numeric' })
+                        },
+                        grid: { color: 'rgba(255, 255, 255, 0.1)' }
+                    },
+                    y: {
+                        ticks: {
+                            color: '#CCCCCC',
+                            callback: (value) => this.formatMoney(value, 0)
+                        },
+                        grid: { color: 'rgba(255, 255, 255, 0.1)' }
+                    }
+                }
+            }
+        });
+    }
+
+    // CSV: one row per trade for a spreadsheet; JSON: the whole account, positions included
+    exportTrades(format) {
+        const filename = `paper-portfolio-${new Date().toISOString().slice(0, 10)}`;
+
+        if (format === 'csv') {
+            const columns = [
+                { key: 'date', header: t('portfolio.date') },
+                { key: 'ticker', header: t('portfolio.company') },
+                { key: 'side', header: t('portfolio.side') },
+                { key: 'shares', header: t('portfolio.shares') },
+                { key: 'price', header: `${t('portfolio.tradePrice')}${exportUnit('price', this.portfolio.currency)}` }
+            ];
+            const rows = this.portfolio.trades.map(trade => ({
+                ...trade,
+                side: t(trade.side === 'buy' ? 'portfolio.sideBuy' : 'portfolio.sideSell')
+            }));
+            downloadFile(`${filename}.csv`, rowsToCsv(columns, rows), 'text/csv');
+            return;
+        }
+
+        downloadFile(`${filename}.json`, JSON.stringify(this.portfolio.toJSON(), null, 2), 'application/json');
+    }
+
+    reset() {
+        if (!confirm(t('portfolio.resetConfirm', { cash: this.formatMoney(STARTING_CASH, 0) }))) {
+            return;
+        }
+        this.portfolio.reset();
+        this.showTradeError('');
+        this.updateDateLimits();
+        this.render();
+    }
+
+    // Cash, positions and gains are all in the account's currency
+    formatMoney(value, digits = 2) {
+        return formatCurrency(value, this.portfolio.currency, digits);
+    }
+
+    formatSignedMoney(value) {
+        return (value < 0 ? '-' : '+') + this.formatMoney(Math.abs(value));
+    }
+}
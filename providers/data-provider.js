@@ -0,0 +1,130 @@
+// Finance Teacher - Data provider interface
+// The app only talks to a provider, never to a vendor API directly. Every provider
+// returns the same normalized records (newest first, like the statements themselves):
+//
+//   profile:     { symbol, name, exchange, currency, sector, industry }
+//   search hit:  { symbol, name, exchange, currency }
+//   price bar:   { date, close, volume }
+//   dividend:    { date, dividend }  (ex-dividend date, cash per share)
+//   income:      { date, period, fiscalYear, filingDate, revenue, costOfRevenue, operatingExpenses,
+//                  netIncome, eps }  (filingDate: when the results were published, or null)
+//   balance:     { date, period, fiscalYear, totalAssets, totalLiabilities, totalEquity,
+//                  currentAssets, currentLiabilities, totalDebt }
+//   cash flow:   { date, period, fiscalYear, netIncome, operatingCashFlow, capitalExpenditure, freeCashFlow }
+//
+// Dates are YYYY-MM-DD strings and money values are plain numbers in the reporting currency.
+// Options: forceRefresh (skip caches), limit (statements to return), period ('quarter' or
+// 'annual'; annual statements have period 'FY'), from (first price date), full (complete daily
+// price bars rather than the light close-and-volume series).
+// Providers throw the same error codes the app already handles (INVALID_TICKER, NO_DATA,
+// API_RATE_LIMIT, NETWORK_ERROR, ...).
+//
+//   peer group:  { basis: 'industry' | 'sector', name, symbols }  (biggest companies first)
+
+// The proxy allows each browser session this many requests a minute
+// (RATE_LIMIT_SESSION_PER_MINUTE in functions/api/_middleware.js)
+const SESSION_REQUESTS_PER_MINUTE = 20;
+
+// Background loading always leaves room for a company search (profile, prices and the three statements)
+const SEARCH_REQUEST_RESERVE = 5;
+
+// Peers are compared by industry when it has at least MIN_PEER_GROUP_SIZE other companies,
+// otherwise by sector
+const PEER_GROUP_SIZE = 4;
+const MIN_PEER_GROUP_SIZE = 2;
+
+class DataProvider {
+    constructor() {
+        // When each dataset was fetched, keyed by `${ticker}:${kind}`
+        this.dataAsOf = {};
+        this.isOffline = false;
+        this.notice = '';
+    }
+
+    async getSupportedSymbols() {
+        throw new Error('NOT_IMPLEMENTED');
+    }
+
+    // Background loaders (watchlist tiles, peer benchmarks) wait here before making up to
+    // `requests` calls, so together they never crowd out the student's own searches. The
+    // slots are reserved when it resolves, so loaders waiting side by side can't share them.
+    // Providers without a request limit resolve straight away.
+    async waitForRequestBudget(requests) {}
+
+    // Tickers and company names matching what the student typed ("apple" finds AAPL)
+    async searchCompanies(query, options = {}) {
+        throw new Error('NOT_IMPLEMENTED');
+    }
+
+    async getProfile(ticker, options = {}) {
+        throw new Error('NOT_IMPLEMENTED');
+    }
+
+    async getPrices(ticker, options = {}) {
+        throw new Error('NOT_IMPLEMENTED');
+    }
+
+    // Empty for companies that don't pay dividends
+    async getDividends(ticker, options = {}) {
+        throw new Error('NOT_IMPLEMENTED');
+    }
+
+    async getIncomeStatements(ticker, options = {}) {
+        throw new Error('NOT_IMPLEMENTED');
+    }
+
+    async getBalanceSheets(ticker, options = {}) {
+        throw new Error('NOT_IMPLEMENTED');
+    }
+
+    async getCashFlowStatements(ticker, options = {}) {
+        throw new Error('NOT_IMPLEMENTED');
+    }
+
+    // Other companies like this one, or null when its sector isn't known
+    async getPeerGroup(ticker, options = {}) {
+        throw new Error('NOT_IMPLEMENTED');
+    }
+
+    // profile: { symbol, sector, industry }; candidates: [{ symbol, sector, industry, marketCap }]
+    choosePeerGroup(profile, candidates) {
+        if (!profile || !profile.sector) {
+            return null;
+        }
+
+        const others = candidates
+            .filter(candidate => candidate.symbol !== profile.symbol)
+            .sort((a, b) => (b.marketCap || 0) - (a.marketCap || 0));
+
+        const byIndustry = others.filter(candidate => profile.industry && candidate.industry === profile.industry);
+        if (byIndustry.length >= MIN_PEER_GROUP_SIZE) {
+            return { basis: 'industry', name: profile.industry, symbols: byIndustry.slice(0, PEER_GROUP_SIZE).map(item => item.symbol) };
+        }
+
+        const bySector = others.filter(candidate => candidate.sector === profile.sector);
+        if (bySector.length >= MIN_PEER_GROUP_SIZE) {
+            return { basis: 'sector', name: profile.sector, symbols: bySector.slice(0, PEER_GROUP_SIZE).map(item => item.symbol) };
+        }
+
+        return null;
+    }
+
+    recordDataAsOf(ticker, kind, fetchedAt) {
+        this.dataAsOf[`${ticker}:${kind}`] = fetchedAt;
+    }
+
+    getDataAsOf(ticker, kind) {
+        return this.dataAsOf[`${ticker}:${kind}`] || null;
+    }
+}
+
+// Pick the provider from the page URL: ?provider=fixtures runs offline on bundled sample data
+function createDataProvider() {
+    const providerName = new URLSearchParams(window.location.search).get('provider');
+
+    if (providerName === 'fixtures') {
+        return new FixtureProvider();
+    }
+
+    return new FmpProvider();
+}
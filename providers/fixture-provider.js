@@ -0,0 +1,114 @@
+// Finance Teacher - Offline fixture provider
+// Reads bundled JSON from fixtures/ so the app works without internet (and without an API key).
+// Fixtures are already in the normalized record shapes described in data-provider.js.
+
+class FixtureProvider extends DataProvider {
+    constructor(baseUrl = 'fixtures') {
+        super();
+
+        this.baseUrl = baseUrl;
+        this.fixtures = {};
+        this.index = null;
+        this.isOffline = true;
+        this.notice = t('provider.offlineNotice');
+    }
+
+    async loadJson(path) {
+        let response;
+        try {
+            response = await fetch(`${this.baseUrl}/${path}`);
+        } catch (error) {
+            throw new Error('NETWORK_ERROR');
+        }
+
+        if (response.status === 404) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`API_ERROR_${response.status}`);
+        }
+        return response.json();
+    }
+
+    async loadFixture(ticker) {
+        if (!this.fixtures[ticker]) {
+            const fixture = await this.loadJson(`${ticker}.json`);
+            if (!fixture) {
+                throw new Error('INVALID_TICKER');
+            }
+            this.fixtures[ticker] = fixture;
+        }
+        return this.fixtures[ticker];
+    }
+
+    async loadIndex() {
+        if (!this.index) {
+            this.index = await this.loadJson('index.json') || { symbols: [], companies: [] };
+        }
+        return this.index;
+    }
+
+    async getSupportedSymbols() {
+        const index = await this.loadIndex();
+        return index.symbols;
+    }
+
+    async searchCompanies(query) {
+        const index = await this.loadIndex();
+        const term = query.trim().toLowerCase();
+
+        // Ticker prefix matches first, then company-name matches
+        const bySymbol = index.companies.filter(company => company.symbol.toLowerCase().startsWith(term));
+        const byName = index.companies.filter(company =>
+            !bySymbol.includes(company) && company.name.toLowerCase().includes(term)
+        );
+        return [...bySymbol, ...byName];
+    }
+
+    async getDataset(ticker, kind, select) {
+        const fixture = await this.loadFixture(ticker);
+
+        // The snapshot date stands in for the fetch time
+        this.recordDataAsOf(ticker, kind, Date.parse(fixture.asOf));
+        return select(fixture);
+    }
+
+    async getProfile(ticker) {
+        return this.getDataset(ticker, 'profile', fixture => fixture.profile);
+    }
+
+    async getPrices(ticker, options = {}) {
+        const { from } = options;
+        return this.getDataset(ticker, 'prices', fixture => {
+            return from ? fixture.prices.filter(day => day.date >= from) : fixture.prices;
+        });
+    }
+
+    async getDividends(ticker) {
+        return this.getDataset(ticker, 'dividends', fixture => fixture.dividends || []);
+    }
+
+    async getIncomeStatements(ticker, options = {}) {
+        const { limit = 8, period = 'quarter' } = options;
+        return this.getDataset(ticker, 'income', fixture => fixture.incomeStatements[period].slice(0, limit));
+    }
+
+    async getBalanceSheets(ticker, options = {}) {
+        const { limit = 8, period = 'quarter' } = options;
+        return this.getDataset(ticker, 'balance', fixture => fixture.balanceSheets[period].slice(0, limit));
+    }
+
+    async getCashFlowStatements(ticker, options = {}) {
+        const { limit = 8, period = 'quarter' } = options;
+        return this.getDataset(ticker, 'cashflow', fixture => fixture.cashFlowStatements[period].slice(0, limit));
+    }
+
+    // Peers come from the other bundled companies, in index order
+    async getPeerGroup(ticker) {
+        const index = await this.loadIndex();
+        const fixtures = await Promise.all(index.symbols.map(symbol => this.loadFixture(symbol)));
+        const profiles = fixtures.map(fixture => fixture.profile);
+
+        return this.choosePeerGroup(profiles.find(profile => profile.symbol === ticker), profiles);
+    }
+}
@@ -0,0 +1,317 @@
+// Finance Teacher - Financial Modeling Prep provider
+// Requests go through our Pages Function proxy, which adds the API key server-side
+
+class FmpProvider extends DataProvider {
+    constructor() {
+        super();
+
+        this.baseUrl = '/api/fmp';
+
+        // Free tier supported symbols (sample set)
+        this.freeTierSymbols = ['AAPL', 'TSLA', 'AMZN', 'MSFT', 'GOOGL', 'META', 'NVDA', 'NFLX'];
+
+        // Identifies this browser to the proxy's per-session rate limit
+        this.sessionId = this.getSessionId();
+
+        // Browser-side cache of FMP responses (the proxy also caches at the edge)
+        this.responseCache = new ResponseCache();
+
+        // When each request in the last minute went to the proxy, searches and background loads alike
+        this.requestTimes = [];
+        // Slots in requestTimes that background loaders reserved and haven't used yet
+        this.reservedTimes = [];
+    }
+
+    getSessionId() {
+        let sessionId = localStorage.getItem('clientSessionId');
+        if (!sessionId) {
+            sessionId = crypto.randomUUID();
+            localStorage.setItem('clientSessionId', sessionId);
+        }
+        return sessionId;
+    }
+
+    async getSupportedSymbols() {
+        return this.freeTierSymbols;
+    }
+
+    async waitForRequestBudget(requests) {
+        const allowed = Math.max(requests, SESSION_REQUESTS_PER_MINUTE - SEARCH_REQUEST_RESERVE);
+
+        for (;;) {
+            const now = Date.now();
+            this.requestTimes = this.requestTimes.filter(time => time > now - 60000);
+            if (this.requestTimes.length + requests <= allowed) {
+                // Count the slots now, so another loader checking before these requests go out
+                // can't take them too
+                for (let i = 0; i < requests; i++) {
+                    this.requestTimes.push(now);
+                    this.reservedTimes.push(now);
+                }
+                return;
+            }
+
+            // Until the oldest request leaves the one-minute window
+            await new Promise(resolve => setTimeout(resolve, this.requestTimes[0] + 60000 - now));
+        }
+    }
+
+    async searchCompanies(query, options = {}) {
+        const term = encodeURIComponent(query.trim());
+        // Names are always searched too: "ford" also matches a FORD ticker, but the student means F.
+        // The autocomplete's debounce keeps this to one pair of requests per pause in typing.
+        const bySymbol = await this.request(`search-symbol?query=${term}`, query, 'search', options);
+        const byName = await this.request(`search-name?query=${term}`, query, 'search', options);
+
+        // Ticker matches first, then name matches that aren't already listed
+        const seen = new Set();
+        return [...bySymbol, ...byName]
+            .filter(item => {
+                if (seen.has(item.symbol)) return false;
+                seen.add(item.symbol);
+                return true;
+            })
+            .map(item => ({
+                symbol: item.symbol,
+                name: item.name,
+                exchange: item.exchange,
+                currency: item.currency || 'USD'
+            }));
+    }
+
+    async getProfile(ticker, options = {}) {
+        // Use search to validate and get basic company info
+        const endpoint = `search-symbol?query=${ticker}`;
+        const response = await this.request(endpoint, ticker, 'profile', options);
+        
+        // Find exact match
+        const exactMatch = response.find(item => 
+            item.symbol.toUpperCase() === ticker.toUpperCase()
+        );
+        
+        if (!exactMatch) {
+            throw new Error('INVALID_TICKER');
+        }
+        
+        return {
+            symbol: exactMatch.symbol,
+            name: exactMatch.name,
+            exchange: exactMatch.exchange,
+            currency: exactMatch.currency || 'USD',
+            sector: exactMatch.sector || null,
+            industry: exactMatch.industry || null
+        };
+    }
+
+    async getPrices(ticker, options = {}) {
+        const { from, full = false } = options;
+        const series = full ? 'full' : 'light';
+        const endpoint = from
+            ? `historical-price-eod/${series}?symbol=${ticker}&from=${from}`
+            : `historical-price-eod/${series}?symbol=${ticker}`;
+        const response = await this.request(endpoint, ticker, 'prices', options);
+
+        return response.map(day => ({
+            date: day.date,
+            // Full EOD bars have close, the light endpoint calls it price
+            close: parseFloat(day.close ?? day.price),
+            volume: parseFloat(day.volume || 0)
+        }));
+    }
+
+    async getDividends(ticker, options = {}) {
+        const endpoint = `dividends?symbol=${ticker}`;
+        const response = await this.request(endpoint, ticker, 'dividends', options);
+
+        return response.map(payment => ({
+            date: payment.date,
+            // Split-adjusted, like the closing prices
+            dividend: parseFloat(payment.adjDividend ?? payment.dividend ?? 0)
+        }));
+    }
+
+    async getIncomeStatements(ticker, options = {}) {
+        const { limit = 8, period = 'quarter' } = options;
+        const endpoint = `income-statement?symbol=${ticker}&period=${period}&limit=${limit}`;
+        const response = await this.request(endpoint, ticker, 'income', options);
+
+        return response.map(statement => ({
+            ...this.normalizePeriod(statement),
+            filingDate: statement.filingDate || null,
+            revenue: parseFloat(statement.revenue || 0),
+            costOfRevenue: parseFloat(statement.costOfRevenue || 0),
+            operatingExpenses: parseFloat(statement.operatingExpenses || 0),
+            netIncome: parseFloat(statement.netIncome || 0),
+            eps: parseFloat(statement.eps ?? statement.epsDiluted ?? 0)
+        }));
+    }
+
+    async getBalanceSheets(ticker, options = {}) {
+        const { limit = 8, period = 'quarter' } = options;
+        const endpoint = `balance-sheet-statement?symbol=${ticker}&period=${period}&limit=${limit}`;
+        const response = await this.request(endpoint, ticker, 'balance', options);
+
+        return response.map(sheet => ({
+            ...this.normalizePeriod(sheet),
+            totalAssets: parseFloat(sheet.totalAssets || 0),
+            totalLiabilities: parseFloat(sheet.totalLiabilities || 0),
+            totalEquity: parseFloat(sheet.totalStockholdersEquity || 0),
+            currentAssets: parseFloat(sheet.totalCurrentAssets || 0),
+            currentLiabilities: parseFloat(sheet.totalCurrentLiabilities || 0),
+            totalDebt: parseFloat(sheet.totalDebt || 0)
+        }));
+    }
+
+    async getCashFlowStatements(ticker, options = {}) {
+        const { limit = 8, period = 'quarter' } = options;
+        const endpoint = `cash-flow-statement?symbol=${ticker}&period=${period}&limit=${limit}`;
+        const response = await this.request(endpoint, ticker, 'cashflow', options);
+
+        return response.map(statement => ({
+            ...this.normalizePeriod(statement),
+            netIncome: parseFloat(statement.netIncome || 0),
+            operatingCashFlow: parseFloat(statement.operatingCashFlow || 0),
+            capitalExpenditure: parseFloat(statement.capitalExpenditure || 0),
+            freeCashFlow: parseFloat(statement.freeCashFlow || 0)
+        }));
+    }
+
+    // The company profile has the sector and industry; the screener lists the sector's biggest
+    // companies, so one request covers both the industry and the sector fallback
+    async getPeerGroup(ticker, options = {}) {
+        const [profile] = await this.request(`profile?symbol=${ticker}`, ticker, 'peers', options);
+        if (!profile || !profile.sector) {
+            return null;
+        }
+
+        const sector = encodeURIComponent(profile.sector);
+        const endpoint = `company-screener?sector=${sector}&isActivelyTrading=true&isEtf=false&isFund=false&limit=100`;
+        const companies = await this.request(endpoint, ticker, 'peers', options);
+
+        return this.choosePeerGroup(
+            { symbol: profile.symbol, sector: profile.sector, industry: profile.industry || null },
+            companies.map(company => ({
+                symbol: company.symbol,
+                sector: company.sector,
+                industry: company.industry,
+                marketCap: parseFloat(company.marketCap || 0)
+            }))
+        );
+    }
+
+    normalizePeriod(statement) {
+        return {
+            date: statement.date,
+            period: statement.period,
+            fiscalYear: String(statement.fiscalYear)
+        };
+    }
+
+    // Uses up a reserved slot when there is one; requests served from the cache leave theirs to
+    // expire with the minute
+    countRequest() {
+        const now = Date.now();
+        this.reservedTimes = this.reservedTimes.filter(time => time > now - 60000);
+        if (this.reservedTimes.length > 0) {
+            this.reservedTimes.shift();
+        } else {
+            this.requestTimes.push(now);
+        }
+    }
+
+    async request(endpoint, ticker, kind, options = {}) {
+        const { forceRefresh = false } = options;
+        const fullUrl = `${this.baseUrl}/${endpoint}`;
+
+        // Serve from the browser cache unless the student asked for fresh data
+        if (!forceRefresh) {
+            const cached = await this.responseCache.get(endpoint);
+            if (cached) {
+                this.recordDataAsOf(ticker, kind, cached.fetchedAt);
+                return cached.data;
+            }
+        }
+        
+        console.log('Making FMP API request to:', endpoint);
+        
+        try {
+            // Add 10 second timeout to prevent hanging
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), 10000);
+
+            this.countRequest();
+
+            const headers = { 'X-Client-Session': this.sessionId };
+            if (forceRefresh) {
+                // Ask the proxy to skip its edge cache too
+                headers['Cache-Control'] = 'no-cache';
+            }
+
+            const response = await fetch(fullUrl, { 
+                signal: controller.signal,
+                headers,
+                cache: forceRefresh ? 'no-store' : 'default'
+            });
+            clearTimeout(timeoutId);
+            console.log('FMP response status:', response.status);
+            
+            if (!response.ok) {
+                const errorText = await response.text();
+                console.error('FMP API Error Response:', errorText);
+                
+                if (response.status === 429) {
+                    throw this.createRateLimitError(response, errorText);
+                }
+                if (response.status === 401 || response.status === 402 || response.status === 403) {
+                    // 402: the symbol or endpoint isn't part of the free plan
+                    throw new Error('API_AUTH_ERROR');
+                }
+                if (response.status === 404 || response.status === 500) {
+                    // Proxy rejected the endpoint or has no API key configured
+                    throw new Error('API_PROXY_ERROR');
+                }
+                throw new Error(`API_ERROR_${response.status}`);
+            }
+
+            const data = await response.json();
+            console.log('FMP API Response data:', data);
+            
+            // Check for FMP error responses
+            if (data.Error && data.Error.includes('API calls limit')) {
+                throw new Error('API_RATE_LIMIT');
+            }
+            if (data.Error && data.Error.includes('not authorized')) {
+                throw new Error('API_AUTH_ERROR');
+            }
+
+            // Edge-cached responses carry the time they were originally fetched
+            const asOfHeader = response.headers.get('X-Data-As-Of');
+            const fetchedAt = asOfHeader ? Date.parse(asOfHeader) || Date.now() : Date.now();
+            await this.responseCache.set(endpoint, data, fetchedAt);
+            this.recordDataAsOf(ticker, kind, fetchedAt);
+
+            return data;
+        } catch (error) {
+            if (error.message.startsWith('API_')) {
+                throw error;
+            }
+            throw new Error('NETWORK_ERROR');
+        }
+    }
+
+    createRateLimitError(response, errorText) {
+        const error = new Error('API_RATE_LIMIT');
+
+        // The proxy answers with { error, scope, retryAfter }; fall back to the header
+        let body = {};
+        try {
+            body = JSON.parse(errorText);
+        } catch (parseError) {
+            body = {};
+        }
+
+        error.scope = body.scope || null;
+        error.retryAfter = parseInt(body.retryAfter || response.headers.get('Retry-After'), 10) || null;
+        return error;
+    }
+}
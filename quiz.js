@@ -0,0 +1,363 @@
+// Finance Teacher - Quiz mode
+// QuizGenerator writes multiple-choice questions from the rows behind the cards on screen
+// (the same rows the charts and narrative use), so every answer can be checked on a chart.
+// QuizPanel shows them, scores the answers and keeps past results in localStorage.
+
+const QUIZ_RESULTS_KEY = 'quizResults';
+const MAX_SAVED_QUIZ_RESULTS = 20;
+
+class QuizGenerator {
+    constructor({
+        formatMoney = (billions) => formatCompactCurrency(billions * 1e9, 'USD'),
+        formatPrice = (price) => formatCurrency(price, 'USD')
+    } = {}) {
+        this.formatMoney = formatMoney;
+        this.formatPrice = formatPrice;
+    }
+
+    // rowsByCard: { price, fundamentals, cashFlow, balance, pe, roe } rows for one company
+    generate(rowsByCard, { roeBenchmarks = [] } = {}) {
+        return [
+            this.netIncomeQuestion(rowsByCard.fundamentals || []),
+            this.priceQuestion(rowsByCard.price || []),
+            this.peQuestion(rowsByCard.pe || []),
+            this.roeQuestion(rowsByCard.roe || [], roeBenchmarks),
+            this.cashFlowQuestion(rowsByCard.cashFlow || []),
+            this.balanceQuestion(rowsByCard.balance || [])
+        ].filter(Boolean);
+    }
+
+    netIncomeQuestion(rows) {
+        if (rows.length < 2) return null;
+
+        const best = rows.reduce((max, row) => row.profit > max.profit ? row : max, rows[0]);
+
+        // Four choices at most: the answer plus the periods spread across the rest
+        const others = rows.filter(row => row !== best);
+        const step = Math.max(1, Math.floor(others.length / 3));
+        const choices = [best, ...others.filter((row, index) => index % step === 0).slice(0, 3)]
+            .sort((a, b) => rows.indexOf(a) - rows.indexOf(b));
+
+        return {
+            card: 'fundamentals',
+            prompt: t('quiz.netIncome.prompt'),
+            options: choices.map(row => row.period),
+            answer: choices.indexOf(best),
+            explanation: t(best.profit >= 0 ? 'quiz.netIncome.tallest' : 'quiz.netIncome.smallestLoss', {
+                period: best.period,
+                profit: this.formatMoney(best.profit)
+            })
+        };
+    }
+
+    priceQuestion(rows) {
+        if (rows.length < 2) return null;
+
+        const first = rows[0];
+        const last = rows[rows.length - 1];
+        const rose = last.close >= first.close;
+        const percent = formatPercentage(Math.abs(last.close / first.close - 1));
+
+        return {
+            card: 'price',
+            prompt: t('quiz.price.prompt'),
+            options: [t('quiz.price.higher'), t('quiz.price.lower')],
+            answer: rose ? 0 : 1,
+            explanation: t(rose ? 'quiz.price.up' : 'quiz.price.down', {
+                first: this.formatPrice(first.close),
+                last: this.formatPrice(last.close),
+                percent
+            })
+        };
+    }
+
+    peQuestion(rows) {
+        const valid = rows.filter(row => row.pe !== null);
+
+        if (valid.length === 0 && rows.some(row => row.peNotMeaningful)) {
+            return {
+                card: 'pe',
+                prompt: t('quiz.pe.notMeaningfulPrompt', { label: t('cards.notMeaningful') }),
+                options: [t('quiz.pe.lostMoney'), t('quiz.pe.priceZero'), t('quiz.pe.yearly')],
+                answer: 0,
+                explanation: t('quiz.pe.notMeaningfulExplanation')
+            };
+        }
+        if (valid.length < 2) return null;
+
+        const first = valid[0];
+        const last = valid[valid.length - 1];
+        const from = formatDecimal(first.pe, 1);
+        const to = formatDecimal(last.pe, 1);
+        const answer = from === to ? 2 : last.pe > first.pe ? 0 : 1;
+
+        return {
+            card: 'pe',
+            prompt: t('quiz.pe.prompt', { first: first.period, last: last.period }),
+            options: [t('quiz.pe.up'), t('quiz.pe.down'), t('quiz.pe.same')],
+            answer,
+            explanation: t('quiz.pe.explanation', {
+                from,
+                to,
+                first: first.period,
+                last: last.period,
+                meaning: t(['quiz.pe.paysMore', 'quiz.pe.paysLess', 'quiz.pe.paysSame'][answer])
+            })
+        };
+    }
+
+    roeQuestion(rows, benchmarks) {
+        const valid = rows.filter(row => row.roe !== null);
+        const [line] = [...benchmarks].sort((a, b) => a.value - b.value);
+        if (valid.length === 0 || !line) return null;
+
+        const last = valid[valid.length - 1];
+        const above = last.roe >= line.value;
+
+        return {
+            card: 'roe',
+            prompt: t('quiz.roe.prompt', { period: last.period, label: line.label }),
+            options: [t('quiz.yes'), t('quiz.no')],
+            answer: above ? 0 : 1,
+            explanation: t(above ? 'quiz.roe.above' : 'quiz.roe.below', {
+                period: last.period,
+                value: formatPercentage(last.roe / 100),
+                label: line.label
+            })
+        };
+    }
+
+    cashFlowQuestion(rows) {
+        if (rows.length === 0) return null;
+
+        const last = rows[rows.length - 1];
+        const positive = last.freeCashFlow >= 0;
+
+        return {
+            card: 'cashFlow',
+            prompt: t('quiz.cashFlow.prompt', { period: last.period }),
+            options: [t('quiz.cashFlow.positive'), t('quiz.cashFlow.negative')],
+            answer: positive ? 0 : 1,
+            explanation: t(positive ? 'quiz.cashFlow.above' : 'quiz.cashFlow.below', {
+                period: last.period,
+                free: this.formatMoney(last.freeCashFlow),
+                operating: this.formatMoney(last.operatingCashFlow),
+                capex: this.formatMoney(-last.capitalExpenditure)
+            })
+        };
+    }
+
+    balanceQuestion(rows) {
+        if (rows.length === 0) return null;
+
+        const last = rows[rows.length - 1];
+        const moreDebt = last.totalLiabilities > last.totalEquity;
+
+        return {
+            card: 'balance',
+            prompt: t('quiz.balance.prompt', { period: last.period }),
+            options: [t('quiz.balance.liabilities'), t('quiz.balance.equity')],
+            answer: moreDebt ? 0 : 1,
+            explanation: t('quiz.balance.explanation', {
+                period: last.period,
+                liabilities: this.formatMoney(last.totalLiabilities),
+                equity: this.formatMoney(last.totalEquity)
+            })
+        };
+    }
+}
+
+class QuizPanel {
+    constructor(container) {
+        this.container = container;
+        this.element = this.createElement();
+        this.ticker = '';
+        this.questions = [];
+        this.answers = [];
+        // One saved result per attempt, even when update() brings back questions to answer
+        this.saved = false;
+
+        this.bindEvents();
+    }
+
+    createElement() {
+        const element = document.createElement('section');
+        element.id = 'quizPanel';
+        element.className = 'chart-card quiz-panel hidden';
+        this.container.appendChild(element);
+        return element;
+    }
+
+    bindEvents() {
+        this.element.addEventListener('click', (e) => {
+            const option = e.target.closest('button[data-question]');
+            if (option) {
+                this.answer(parseInt(option.dataset.question, 10), parseInt(option.dataset.option, 10));
+                return;
+            }
+
+            const chartLink = e.target.closest('button[data-card]');
+            if (chartLink) {
+                document.getElementById(`${chartLink.dataset.card}Card`).scrollIntoView({ behavior: 'smooth' });
+            }
+        });
+    }
+
+    show(ticker, questions) {
+        this.ticker = ticker;
+        this.questions = questions;
+        this.answers = questions.map(() => null);
+        this.saved = false;
+
+        this.element.classList.toggle('hidden', questions.length === 0);
+        this.render();
+    }
+
+    // New questions for the same company (benchmark lines changed): answers to questions that
+    // read the same are kept, the rest can be answered again
+    update(questions) {
+        this.answers = questions.map(question => {
+            const index = this.questions.findIndex(previous => previous.prompt === question.prompt);
+            return index >= 0 ? this.answers[index] : null;
+        });
+        this.questions = questions;
+
+        this.element.classList.toggle('hidden', questions.length === 0);
+        this.render();
+    }
+
+    hide() {
+        this.element.classList.add('hidden');
+    }
+
+    answer(questionIndex, optionIndex) {
+        // One try per question
+        if (this.answers[questionIndex] !== null) return;
+
+        this.answers[questionIndex] = optionIndex;
+
+        if (!this.saved && this.answers.every(answer => answer !== null)) {
+            this.saveResult();
+        }
+        this.render();
+    }
+
+    getScore() {
+        return this.answers.filter((answer, index) => answer === this.questions[index].answer).length;
+    }
+
+    loadResults() {
+        try {
+            return JSON.parse(localStorage.getItem(QUIZ_RESULTS_KEY)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    saveResult() {
+        const results = this.loadResults();
+        results.unshift({
+            ticker: this.ticker,
+            score: this.getScore(),
+            total: this.questions.length,
+            completedAt: new Date().toISOString()
+        });
+        localStorage.setItem(QUIZ_RESULTS_KEY, JSON.stringify(results.slice(0, MAX_SAVED_QUIZ_RESULTS)));
+        this.saved = true;
+    }
+
+    render() {
+        const answered = this.answers.filter(answer => answer !== null).length;
+        const isComplete = answered === this.questions.length;
+
+        this.element.innerHTML = `
+            <div class="chart-header">
+                <h2>${t('quiz.heading', { ticker: this.ticker })}</h2>
+                <p class="educational-label">${t('quiz.intro')}</p>
+            </div>
+            <ol class="quiz-questions"></ol>
+            <p class="quiz-score"></p>
+            <div class="quiz-history"></div>
+        `;
+
+        const list = this.element.querySelector('.quiz-questions');
+        this.questions.forEach((question, index) => list.appendChild(this.createQuestionElement(question, index)));
+
+        const score = { score: this.getScore(), total: this.questions.length, answered };
+        this.element.querySelector('.quiz-score').textContent = t(isComplete ? 'quiz.score' : 'quiz.progress', score);
+
+        this.renderHistory();
+    }
+
+    createQuestionElement(question, index) {
+        const chosen = this.answers[index];
+        const item = document.createElement('li');
+        item.className = 'quiz-question';
+
+        // Question text comes from company data, so it is set as text
+        const prompt = document.createElement('p');
+        prompt.className = 'quiz-prompt';
+        prompt.textContent = question.prompt;
+        item.appendChild(prompt);
+
+        const options = document.createElement('div');
+        options.className = 'quiz-options';
+        question.options.forEach((text, optionIndex) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.dataset.question = index;
+            button.dataset.option = optionIndex;
+            button.disabled = chosen !== null;
+
+            if (chosen !== null && optionIndex === question.answer) {
+                button.classList.add('correct');
+            } else if (chosen === optionIndex) {
+                button.classList.add('incorrect');
+            }
+            options.appendChild(button);
+        });
+        item.appendChild(options);
+
+        if (chosen !== null) {
+            const feedback = document.createElement('p');
+            feedback.className = 'quiz-feedback';
+
+            const verdict = document.createElement('strong');
+            verdict.textContent = `${t(chosen === question.answer ? 'quiz.correct' : 'quiz.incorrect')} `;
+
+            const chartLink = document.createElement('button');
+            chartLink.className = 'quiz-chart-link';
+            chartLink.dataset.card = question.card;
+            chartLink.textContent = t('quiz.seeChart');
+
+            feedback.append(verdict, question.explanation, ' ', chartLink);
+            item.appendChild(feedback);
+        }
+
+        return item;
+    }
+
+    renderHistory() {
+        const results = this.loadResults().slice(0, 5);
+        const history = this.element.querySelector('.quiz-history');
+        if (results.length === 0) return;
+
+        const heading = document.createElement('p');
+        heading.className = 'quiz-history-heading';
+        heading.textContent = t('quiz.history');
+        history.appendChild(heading);
+
+        const list = document.createElement('ul');
+        results.forEach(result => {
+            const item = document.createElement('li');
+            item.textContent = t('quiz.historyItem', {
+                ticker: result.ticker,
+                score: result.score,
+                total: result.total,
+                date: formatDate(result.completedAt, { dateStyle: 'medium' })
+            });
+            list.appendChild(item);
+        });
+        history.appendChild(list);
+    }
+}
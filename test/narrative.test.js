@@ -0,0 +1,324 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+const ROOT = new URL('../', import.meta.url);
+
+// The narrative is a browser script: run it with the catalogs in a context that stands in for
+// the page, the way index.html loads them
+function loadNarrative(language = 'en') {
+  const context = vm.createContext({
+    console,
+    URLSearchParams,
+    Intl,
+    location: { search: `?lang=${language}` },
+    localStorage: { getItem: () => null, setItem: () => {} },
+    navigator: { language: 'en-US' }
+  });
+  context.window = context;
+
+  ['i18n.js', 'locales/en.js', 'locales/es.js', 'narrative.js'].forEach(file => {
+    vm.runInContext(readFileSync(new URL(file, ROOT), 'utf8'), context, { filename: file });
+  });
+  const engine = vm.runInContext('new NarrativeEngine()', context);
+
+  // Sentences come back as arrays of this realm, so deepEqual can compare them
+  return new Proxy(engine, {
+    get: (target, name) => String(name).startsWith('describe')
+      ? (...args) => Array.from(target[name](...args))
+      : target[name]
+  });
+}
+
+function loadFixture(symbol) {
+  return JSON.parse(readFileSync(new URL(`fixtures/${symbol}.json`, ROOT), 'utf8'));
+}
+
+// The rows the price card charts: the last year of closes, oldest first
+function priceRows(fixture) {
+  const rows = [...fixture.prices].sort((a, b) => a.date.localeCompare(b.date));
+  const [year, month, day] = rows[rows.length - 1].date.split('-');
+  const yearAgo = `${Number(year) - 1}-${month}-${day}`;
+  return rows.filter(row => row.date >= yearAgo).map(row => ({ date: row.date, close: row.close }));
+}
+
+// Newest statement first, the way main.js walks back through trailing quarters
+function newestFirst(statements) {
+  return [...statements].sort((a, b) => b.date.localeCompare(a.date));
+}
+
+// The last few periods, oldest first as the charts show them
+function lastPeriods(statements, periods) {
+  return newestFirst(statements).slice(0, periods).reverse();
+}
+
+const periodLabel = statement => `${statement.period} ${statement.fiscalYear}`;
+
+// The rows the fundamentals card charts in the quarterly view, in billions
+function fundamentalsRows(fixture, periods = 4) {
+  return lastPeriods(fixture.incomeStatements.quarter, periods).map(statement => ({
+    period: periodLabel(statement),
+    revenue: statement.revenue / 1e9,
+    expenses: (statement.costOfRevenue + statement.operatingExpenses) / 1e9,
+    profit: statement.netIncome / 1e9
+  }));
+}
+
+// The rows the cash flow card charts in the quarterly view, in billions
+function cashFlowRows(fixture, periods = 4) {
+  return lastPeriods(fixture.cashFlowStatements.quarter, periods).map(statement => ({
+    period: periodLabel(statement),
+    operatingCashFlow: statement.operatingCashFlow / 1e9,
+    capitalExpenditure: statement.capitalExpenditure / 1e9,
+    freeCashFlow: statement.freeCashFlow / 1e9,
+    netIncome: statement.netIncome / 1e9
+  }));
+}
+
+// The rows the balance sheet card charts, in billions
+function balanceRows(fixture, periods = 4) {
+  return lastPeriods(fixture.balanceSheets.quarter, periods).map(sheet => ({
+    period: periodLabel(sheet),
+    totalAssets: sheet.totalAssets / 1e9,
+    totalLiabilities: sheet.totalLiabilities / 1e9,
+    totalEquity: sheet.totalEquity / 1e9,
+    debtToEquity: sheet.totalEquity > 0 ? sheet.totalDebt / sheet.totalEquity : null,
+    currentRatio: sheet.currentLiabilities > 0 ? sheet.currentAssets / sheet.currentLiabilities : null
+  }));
+}
+
+// The rows the P/E and ROE cards chart: trailing-year EPS and net income against the close
+// nearest the statement date and the average equity over the year
+function metricsRows(fixture, periods = 4) {
+  const statements = newestFirst(fixture.incomeStatements.quarter);
+  const sheets = newestFirst(fixture.balanceSheets.quarter);
+  const trailing = (index, field) => index + 4 > statements.length
+    ? null
+    : statements.slice(index, index + 4).reduce((sum, statement) => sum + statement[field], 0);
+  const closeNear = date => {
+    const nearest = fixture.prices.reduce((best, day) =>
+      Math.abs(new Date(day.date) - new Date(date)) < Math.abs(new Date(best.date) - new Date(date)) ? day : best);
+    return Math.abs(new Date(nearest.date) - new Date(date)) <= 7 * 86400000 ? nearest.close : null;
+  };
+  const averageEquity = date => {
+    const index = sheets.findIndex(sheet => sheet.date === date);
+    if (index === -1) return null;
+    const yearEarlier = sheets[index + 4];
+    return yearEarlier ? (sheets[index].totalEquity + yearEarlier.totalEquity) / 2 : sheets[index].totalEquity;
+  };
+
+  return statements.slice(0, periods).reverse().map(statement => {
+    const index = statements.indexOf(statement);
+    const eps = trailing(index, 'eps');
+    const price = closeNear(statement.date);
+    const netIncome = trailing(index, 'netIncome');
+    const equity = averageEquity(statement.date);
+    return {
+      period: periodLabel(statement),
+      date: statement.date,
+      pe: eps !== null && eps > 0 && price !== null ? price / eps : null,
+      peNotMeaningful: eps !== null && eps <= 0,
+      roe: netIncome !== null && equity ? (netIncome / equity) * 100 : null
+    };
+  });
+}
+
+// The rows the net margin card charts in the quarterly view, in percent
+function marginRows(fixture, periods = 4) {
+  return lastPeriods(fixture.incomeStatements.quarter, periods).map(statement => ({
+    period: periodLabel(statement),
+    date: statement.date,
+    netMargin: statement.revenue > 0 ? (statement.netIncome / statement.revenue) * 100 : null
+  }));
+}
+
+// Stand-ins for the lines metric-cards.js draws on the ROE chart
+const ROE_BENCHMARKS = [
+  { value: 15, label: 'Good (15%)' },
+  { value: 20, label: 'Great (20%)' },
+  { value: 25, label: 'Exceptional (25%)' }
+];
+
+const narrator = loadNarrative();
+
+test('price growth: the stock rose and sits near its high', () => {
+  assert.deepEqual(narrator.describePrice(priceRows(loadFixture('AAPL'))), [
+    'Between October 2025 and October 2026 the stock rose 101%, from $115.51 to $232.00.',
+    'It is trading at or near its highest price of this period.'
+  ]);
+});
+
+test('price decline: the stock fell, far below its high', () => {
+  assert.deepEqual(narrator.describePrice(priceRows(loadFixture('RIVN'))), [
+    'Between October 2025 and October 2026 the stock fell 41%, from $23.03 to $13.50.',
+    'The stock fell 50% from its high in November 2025.'
+  ]);
+});
+
+test('a small drop from the high reads as a normal dip', () => {
+  assert.equal(
+    narrator.describePrice(priceRows(loadFixture('MSFT')))[1],
+    'It is 9% below its high in October 2025 — a normal dip.'
+  );
+});
+
+test('flat price: ending where it started reads as about the same', () => {
+  const rows = priceRows(loadFixture('TSLA'));
+  rows[rows.length - 1] = { ...rows[rows.length - 1], close: rows[0].close };
+
+  assert.equal(
+    narrator.describePrice(rows)[0],
+    'Between October 2025 and October 2026 the stock stayed about the same, from $486.25 to $486.25.'
+  );
+});
+
+test('revenue growing faster than expenses explains the profit growth', () => {
+  assert.deepEqual(narrator.describeFundamentals(fundamentalsRows(loadFixture('MSFT'))), [
+    'Revenue grew 7% from Q1 2026 to Q4 2026 while expenses grew 2%, so profit grew.',
+    'In Q4 2026 it kept 40% of its revenue as profit ($31.8B).'
+  ]);
+});
+
+test('flat revenue against rising expenses means profit shrank', () => {
+  assert.equal(
+    narrator.describeFundamentals(fundamentalsRows(loadFixture('AAPL')))[0],
+    'Revenue stayed about the same from Q4 2025 to Q3 2026 while expenses grew 3%, so profit shrank.'
+  );
+  assert.equal(
+    narrator.describeFundamentals(fundamentalsRows(loadFixture('GM')))[0],
+    'Revenue grew 2% from Q3 2025 to Q2 2026 while expenses stayed about the same, so profit grew.'
+  );
+});
+
+test('profit moving against the revenue/expense race is joined with "and", not "so"', () => {
+  assert.equal(
+    narrator.describeFundamentals(fundamentalsRows(loadFixture('NVDA')))[0],
+    'Revenue grew 15% from Q3 2026 to Q2 2027 while expenses grew 16%, and profit grew.'
+  );
+});
+
+test('a company losing money is told so', () => {
+  assert.equal(
+    narrator.describeFundamentals(fundamentalsRows(loadFixture('RIVN')))[1],
+    'In Q2 2026 the company lost $1.7B: it spent more than it earned.'
+  );
+});
+
+test('positive free cash flow in every period', () => {
+  assert.deepEqual(narrator.describeCashFlow(cashFlowRows(loadFixture('AAPL'))), [
+    'In Q3 2026 the business brought in $28.0B of cash, spent $2.8B on things that last, and kept $25.1B of free cash flow.',
+    'Free cash flow was positive in every period shown.'
+  ]);
+});
+
+test('cash used up: some or all periods with negative free cash flow', () => {
+  assert.deepEqual(narrator.describeCashFlow(cashFlowRows(loadFixture('F'))), [
+    'In Q2 2026 the company used up $694.8M more cash than its business brought in, after paying for things that last.',
+    'Free cash flow was negative in 1 of the 4 periods shown.'
+  ]);
+  assert.equal(
+    narrator.describeCashFlow(cashFlowRows(loadFixture('RIVN')))[1],
+    'Free cash flow was negative in every period shown, so the company relies on cash it already has or raises.'
+  );
+});
+
+test('balance sheet: who paid for the assets, debt-to-equity and a low current ratio', () => {
+  assert.deepEqual(narrator.describeBalance(balanceRows(loadFixture('AAPL'))), [
+    'At the end of Q3 2026 the company owned $354.0B of assets: 78% paid for with borrowed money and 22% by its owners.',
+    'Debt-to-equity fell from 1.4x to 1.3x.',
+    'Its current ratio of 0.9x means bills due within a year are larger than its cash and short-term assets.'
+  ]);
+});
+
+test('balance sheet: rising debt, and debt that reads the same is about the same', () => {
+  assert.deepEqual(narrator.describeBalance(balanceRows(loadFixture('F'))).slice(1), [
+    'Debt-to-equity rose from 2.8x to 5.2x.',
+    'Its current ratio of 1.2x means it has enough short-term assets to cover the bills due within a year.'
+  ]);
+  assert.equal(
+    narrator.describeBalance(balanceRows(loadFixture('MSFT')))[1],
+    'Debt-to-equity stayed about the same at 0.2x.'
+  );
+});
+
+test('P/E falling and rising between the first and last period', () => {
+  assert.deepEqual(narrator.describePE(metricsRows(loadFixture('MSFT'))), [
+    'P/E went down from 38.9 in Q1 2026 to 30.0 in Q4 2026, so each $1 of profit costs less than it did.',
+    'A P/E of 30 means investors pay about $30 for each $1 of yearly profit.'
+  ]);
+  assert.equal(
+    narrator.describePE(metricsRows(loadFixture('GM')))[0],
+    'P/E went up from 3.9 in Q3 2025 to 5.5 in Q2 2026, so investors are paying more for each $1 of profit.'
+  );
+});
+
+test('P/E is not meaningful for a company losing money', () => {
+  assert.deepEqual(narrator.describePE(metricsRows(loadFixture('RIVN'))), [
+    'The company lost money over the past year in every period shown, so it has no meaningful P/E.'
+  ]);
+
+  const rows = metricsRows(loadFixture('AAPL'));
+  rows[0] = { ...rows[0], pe: null, peNotMeaningful: true };
+  assert.deepEqual(narrator.describePE(rows), [
+    'P/E went up from 14.7 in Q1 2026 to 20.0 in Q3 2026, so investors are paying more for each $1 of profit.',
+    'A P/E of 20 means investors pay about $20 for each $1 of yearly profit.',
+    'In 1 of the periods shown the company lost money, so P/E is not meaningful there.'
+  ]);
+});
+
+test('ROE against the benchmark lines', () => {
+  assert.deepEqual(narrator.describeROE(metricsRows(loadFixture('F')), ROE_BENCHMARKS), [
+    "ROE was 21% in Q2 2026, above the 'Great (20%)' line.",
+    'That is up from 19% in Q3 2025.'
+  ]);
+  assert.deepEqual(narrator.describeROE(metricsRows(loadFixture('MSFT')), ROE_BENCHMARKS), [
+    "ROE was 44% in Q4 2026, above the 'Exceptional (25%)' line.",
+    'That is down from 52% in Q1 2026.'
+  ]);
+});
+
+test('a very high ROE comes with a warning about small equity', () => {
+  assert.equal(
+    narrator.describeROE(metricsRows(loadFixture('AAPL')), ROE_BENCHMARKS)[2],
+    'An ROE this high usually means equity is small — for example after years of buying back shares — not that the company is many times better than others.'
+  );
+});
+
+test('negative ROE: the company lost money on its owners\' investment', () => {
+  assert.deepEqual(narrator.describeROE(metricsRows(loadFixture('RIVN')), ROE_BENCHMARKS), [
+    "ROE was negative (-71%) in Q2 2026: the company lost money on its owners' investment.",
+    'That is down from -68% in Q3 2025.'
+  ]);
+});
+
+test('net margin: cents kept per dollar of sales, and the change', () => {
+  assert.deepEqual(narrator.describeMargin(marginRows(loadFixture('GM'))), [
+    'The net margin was 9% in Q2 2026: it kept about 9 cents of every $1 of sales as profit.',
+    'That is up from 8% in Q3 2025.'
+  ]);
+  // Less than a point of change isn't worth a sentence
+  assert.deepEqual(narrator.describeMargin(marginRows(loadFixture('NVDA'))), [
+    'The net margin was 49% in Q2 2027: it kept about 49 cents of every $1 of sales as profit.'
+  ]);
+});
+
+test('negative net margin: spending more than the sales brought in', () => {
+  assert.deepEqual(narrator.describeMargin(marginRows(loadFixture('RIVN'))), [
+    'The net margin was -124% in Q2 2026: the company spent more than it made from its sales.',
+    'That is down from -122% in Q3 2025.'
+  ]);
+});
+
+test('the same rows always tell the same story', () => {
+  const rows = fundamentalsRows(loadFixture('F'));
+  assert.deepEqual(narrator.describeFundamentals(rows), loadNarrative().describeFundamentals(rows));
+});
+
+test('Spanish uses its own wording and number format', () => {
+  assert.equal(
+    loadNarrative('es').describePrice(priceRows(loadFixture('RIVN')))[0],
+    // Intl puts no-break spaces before % and the currency
+    'Entre octubre de 2025 y octubre de 2026 la acción bajó un 41\u00a0%, de 23,03\u00a0US$ a 13,50\u00a0US$.'
+  );
+});
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BufferedStore, MemoryStore, QuotaCounter, RateLimiter, secondsUntilNextDay } from '../functions/_lib/rate-limit.js';
+
+const NOON = Date.UTC(2026, 9, 18, 12, 0, 0);
+
+function sessionLimiter(store, { perWindow = 3, perDay = 100 } = {}) {
+  return new RateLimiter(store, [{ name: 'session', windowSeconds: 60, perWindow, perDay }]);
+}
+
+test('allows requests up to the window limit, then refuses', async () => {
+  const limiter = sessionLimiter(new MemoryStore());
+
+  for (let i = 0; i < 3; i++) {
+    const result = await limiter.check({ session: 'abc' }, NOON + i * 1000);
+    assert.equal(result.allowed, true);
+    assert.equal(result.remaining, 2 - i);
+  }
+
+  const refused = await limiter.check({ session: 'abc' }, NOON + 3000);
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.scope, 'window');
+  assert.equal(refused.limit, 3);
+});
+
+test('retryAfter is the wait until the oldest request slides out of the window', async () => {
+  const limiter = sessionLimiter(new MemoryStore());
+  for (let i = 0; i < 3; i++) {
+    await limiter.check({ session: 'abc' }, NOON + i * 1000);
+  }
+
+  const refused = await limiter.check({ session: 'abc' }, NOON + 15000);
+  assert.equal(refused.retryAfter, 45);
+
+  const afterWait = await limiter.check({ session: 'abc' }, NOON + 60001);
+  assert.equal(afterWait.allowed, true);
+});
+
+test('the window slides instead of resetting', async () => {
+  const limiter = sessionLimiter(new MemoryStore());
+  await limiter.check({ session: 'abc' }, NOON);
+  await limiter.check({ session: 'abc' }, NOON + 30000);
+  await limiter.check({ session: 'abc' }, NOON + 40000);
+
+  // Only the first request has left the window
+  assert.equal((await limiter.check({ session: 'abc' }, NOON + 61000)).allowed, true);
+  assert.equal((await limiter.check({ session: 'abc' }, NOON + 62000)).allowed, false);
+});
+
+test('refuses for the rest of the UTC day once the daily cap is used', async () => {
+  const limiter = sessionLimiter(new MemoryStore(), { perWindow: 100, perDay: 2 });
+  await limiter.check({ session: 'abc' }, NOON);
+  await limiter.check({ session: 'abc' }, NOON + 1000);
+
+  const refused = await limiter.check({ session: 'abc' }, NOON + 2000);
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.scope, 'day');
+  assert.equal(refused.retryAfter, 12 * 60 * 60 - 2);
+  assert.equal(refused.retryAfter, secondsUntilNextDay(NOON + 2000));
+
+  const tomorrow = await limiter.check({ session: 'abc' }, Date.UTC(2026, 9, 19, 0, 0, 1));
+  assert.equal(tomorrow.allowed, true);
+});
+
+test('budgets are kept per identity', async () => {
+  const limiter = sessionLimiter(new MemoryStore(), { perWindow: 1 });
+  assert.equal((await limiter.check({ session: 'abc' }, NOON)).allowed, true);
+  assert.equal((await limiter.check({ session: 'def' }, NOON)).allowed, true);
+  assert.equal((await limiter.check({ session: 'abc' }, NOON)).allowed, false);
+});
+
+test('a request refused by one budget is not counted against the others', async () => {
+  const store = new MemoryStore();
+  const limiter = new RateLimiter(store, [
+    { name: 'session', windowSeconds: 60, perWindow: 5, perDay: 100 },
+    { name: 'ip', windowSeconds: 60, perWindow: 1, perDay: 100 }
+  ]);
+
+  await limiter.check({ session: 'abc', ip: '10.0.0.1' }, NOON);
+  const refused = await limiter.check({ session: 'abc', ip: '10.0.0.1' }, NOON + 1000);
+  assert.equal(refused.rule, 'ip');
+
+  const session = await sessionLimiter(store, { perWindow: 5 }).check({ session: 'abc' }, NOON + 2000);
+  assert.equal(session.remaining, 3);
+});
+
+test('QuotaCounter counts down the shared daily quota and resets each UTC day', async () => {
+  const quota = new QuotaCounter(new MemoryStore(), 3);
+
+  assert.equal(await quota.remaining(NOON), 3);
+  assert.equal(await quota.record(NOON), 2);
+  assert.equal(await quota.record(NOON), 1);
+  assert.equal(await quota.record(NOON), 0);
+  assert.equal(await quota.record(NOON), 0);
+  assert.equal(await quota.remaining(NOON), 0);
+
+  assert.equal(await quota.remaining(Date.UTC(2026, 9, 19, 0, 0, 1)), 3);
+});
+
+test('BufferedStore writes a busy key through at most once per flush interval', async () => {
+  const backing = new MemoryStore();
+  const writes = [];
+  const put = backing.put.bind(backing);
+  backing.put = async (key, value, options) => {
+    writes.push(key);
+    return put(key, value, options);
+  };
+
+  const quota = new QuotaCounter(new BufferedStore(backing, { flushSeconds: 60 }), 250);
+  for (let i = 0; i < 10; i++) {
+    await quota.record(NOON);
+  }
+
+  // This isolate still sees every request; the backing store only got the first write
+  assert.equal(await quota.remaining(NOON), 240);
+  assert.equal(writes.length, 1);
+});
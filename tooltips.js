@@ -0,0 +1,87 @@
+// Finance Teacher - Glossary tooltips
+// One set of listeners handles every ⓘ button, including cards rendered later.
+// A button opens the tooltip named by its data-tooltip attribute: hovering previews it,
+// clicking (or tapping on mobile) keeps it open until the next click or Escape.
+
+class GlossaryTooltips {
+    constructor(root = document) {
+        this.root = root;
+        this.openTooltip = null;
+        this.openButton = null;
+        this.isPinned = false;
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.root.addEventListener('mouseover', (e) => {
+            const button = this.findButton(e.target);
+            if (button && !this.isPinned) {
+                this.show(button);
+            }
+        });
+
+        this.root.addEventListener('mouseout', (e) => {
+            const button = this.findButton(e.target);
+            // Moving between the button and its own text isn't leaving it
+            if (button && !button.contains(e.relatedTarget) && !this.isPinned) {
+                this.hide();
+            }
+        });
+
+        this.root.addEventListener('click', (e) => {
+            const button = this.findButton(e.target);
+
+            if (button) {
+                e.preventDefault();
+                if (this.isPinned && this.openButton === button) {
+                    this.hide();
+                } else {
+                    this.show(button);
+                    this.isPinned = true;
+                }
+                return;
+            }
+
+            // Clicking anywhere else closes it, so students can select text inside
+            if (this.openTooltip && !this.openTooltip.contains(e.target)) {
+                this.hide();
+            }
+        });
+
+        this.root.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.hide();
+            }
+        });
+    }
+
+    findButton(target) {
+        return target instanceof Element ? target.closest('.info-button[data-tooltip]') : null;
+    }
+
+    show(button) {
+        const tooltip = document.getElementById(button.dataset.tooltip);
+        if (!tooltip) return;
+
+        if (this.openTooltip && this.openTooltip !== tooltip) {
+            this.hide();
+        }
+
+        tooltip.classList.add('show');
+        button.setAttribute('aria-expanded', 'true');
+        this.openTooltip = tooltip;
+        this.openButton = button;
+    }
+
+    hide() {
+        if (this.openTooltip) {
+            this.openTooltip.classList.remove('show');
+            this.openButton.setAttribute('aria-expanded', 'false');
+        }
+
+        this.openTooltip = null;
+        this.openButton = null;
+        this.isPinned = false;
+    }
+}
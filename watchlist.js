@@ -0,0 +1,315 @@
+// Finance Teacher - Watchlist dashboard
+// A saved list of tickers shown as small tiles: a one-year price sparkline, the 1-year
+// change and the latest quarter's revenue and net income. Clicking a tile opens the full
+// charts. Tiles load one company at a time within the provider's request budget, and wait
+// out a rate limit instead of failing, so a long watchlist stays inside the API budget.
+
+const WATCHLIST_KEY = 'watchlist';
+const MAX_WATCHLIST_TICKERS = 12;
+
+// Requests a tile makes: prices, income statements and the profile for its currency
+const WATCHLIST_TILE_REQUESTS = 3;
+
+class Watchlist {
+    constructor({ container, loadTile, onOpen, formatMoney = (billions, currency) => formatCompactCurrency(billions * 1e9, currency) }) {
+        this.container = container;
+        // ticker => { prices, income, currency } from the provider, newest first
+        this.loadTile = loadTile;
+        this.onOpen = onOpen;
+        this.formatMoney = formatMoney;
+
+        this.tickers = this.load();
+        this.summaries = {};
+        this.sparklines = {};
+        this.isLoading = false;
+
+        this.bindEvents();
+        this.render();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(WATCHLIST_KEY));
+            if (Array.isArray(saved)) {
+                return saved.slice(0, MAX_WATCHLIST_TICKERS);
+            }
+        } catch (error) {
+            console.warn('Ignoring unreadable watchlist:', error.message);
+        }
+
+        // First visit since the watchlist arrived: start with the last search, saved so the
+        // list stays put from then on
+        const lastSearched = localStorage.getItem('lastSearchedTicker');
+        const seeded = lastSearched ? lastSearched.split(/[\s,]+/).filter(Boolean).slice(0, MAX_WATCHLIST_TICKERS) : [];
+        localStorage.setItem(WATCHLIST_KEY, JSON.stringify(seeded));
+        return seeded;
+    }
+
+    save() {
+        localStorage.setItem(WATCHLIST_KEY, JSON.stringify(this.tickers));
+    }
+
+    has(ticker) {
+        return this.tickers.includes(ticker);
+    }
+
+    add(ticker) {
+        if (this.has(ticker) || this.tickers.length >= MAX_WATCHLIST_TICKERS) return false;
+
+        this.tickers.push(ticker);
+        this.save();
+        this.render();
+        return true;
+    }
+
+    remove(ticker) {
+        this.tickers = this.tickers.filter(item => item !== ticker);
+        delete this.summaries[ticker];
+        this.save();
+        this.render();
+    }
+
+    bindEvents() {
+        this.container.addEventListener('click', (e) => {
+            const removeButton = e.target.closest('button[data-remove]');
+            if (removeButton) {
+                this.remove(removeButton.dataset.remove);
+                return;
+            }
+
+            const tile = e.target.closest('.watchlist-tile[data-ticker]');
+            if (tile) {
+                this.onOpen(tile.dataset.ticker);
+            }
+        });
+
+        // Tiles are buttons in all but name, so Enter and Space open them too
+        this.container.addEventListener('keydown', (e) => {
+            const tile = e.target.closest('.watchlist-tile[data-ticker]');
+            if (tile && e.target === tile && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                this.onOpen(tile.dataset.ticker);
+            }
+        });
+    }
+
+    // "☆ Add to watchlist" button for the company header; keeps its own label in sync
+    createToggle(ticker) {
+        const button = document.createElement('button');
+        button.className = 'watchlist-toggle';
+
+        const update = () => {
+            const isFull = this.tickers.length >= MAX_WATCHLIST_TICKERS;
+            button.textContent = t(this.has(ticker) ? 'watchlist.on' : isFull ? 'watchlist.full' : 'watchlist.add');
+            button.disabled = !this.has(ticker) && isFull;
+        };
+
+        button.addEventListener('click', () => {
+            if (this.has(ticker)) {
+                this.remove(ticker);
+            } else {
+                this.add(ticker);
+            }
+            update();
+        });
+
+        update();
+        return button;
+    }
+
+    render() {
+        this.container.classList.toggle('hidden', this.tickers.length === 0);
+        Object.values(this.sparklines).forEach(chart => chart.destroy());
+        this.sparklines = {};
+
+        this.container.innerHTML = `
+            <div class="chart-header">
+                <h2>${t('watchlist.heading')}</h2>
+                <p class="educational-label">${t('watchlist.intro')}</p>
+            </div>
+            <div class="watchlist-tiles"></div>
+        `;
+
+        const tiles = this.container.querySelector('.watchlist-tiles');
+        this.tickers.forEach(ticker => tiles.appendChild(this.createTile(ticker)));
+
+        this.loadTiles();
+    }
+
+    createTile(ticker) {
+        const tile = document.createElement('div');
+        tile.className = 'watchlist-tile';
+        tile.dataset.ticker = ticker;
+        tile.tabIndex = 0;
+        tile.setAttribute('role', 'button');
+        tile.setAttribute('aria-label', t('watchlist.open', { ticker }));
+        tile.innerHTML = `
+            <div class="watchlist-tile-header">
+                <strong class="watchlist-ticker"></strong>
+                <span class="watchlist-change"></span>
+                <button class="watchlist-remove" aria-label="${t('watchlist.remove')}">×</button>
+            </div>
+            <div class="watchlist-sparkline"><canvas></canvas></div>
+            <p class="watchlist-figures">${t('watchlist.waiting')}</p>
+        `;
+        tile.querySelector('.watchlist-ticker').textContent = ticker;
+        tile.querySelector('.watchlist-remove').dataset.remove = ticker;
+
+        if (this.summaries[ticker]) {
+            this.fillTile(tile, this.summaries[ticker]);
+        }
+        return tile;
+    }
+
+    findTile(ticker) {
+        return [...this.container.querySelectorAll('.watchlist-tile')].find(tile => tile.dataset.ticker === ticker) || null;
+    }
+
+    // One company at a time; a render while loading is picked up by the same loop
+    async loadTiles() {
+        if (this.isLoading) return;
+        this.isLoading = true;
+
+        try {
+            let ticker;
+            while ((ticker = this.tickers.find(item => !this.summaries[item]))) {
+                const summary = await this.loadSummary(ticker);
+                if (!summary) break;
+
+                this.summaries[ticker] = summary;
+                const tile = this.findTile(ticker);
+                if (tile) {
+                    this.fillTile(tile, summary);
+                }
+            }
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    // The tile's summary, or null to stop loading the rest for now
+    async loadSummary(ticker) {
+        for (;;) {
+            const tile = this.findTile(ticker);
+            if (tile) {
+                tile.querySelector('.watchlist-figures').textContent = t('watchlist.loading');
+            }
+
+            try {
+                const { prices, income, currency } = await this.loadTile(ticker);
+                return this.summarize(prices, income, currency);
+            } catch (error) {
+                const current = this.findTile(ticker);
+
+                if (error.message === 'API_RATE_LIMIT' && error.retryAfter && error.scope !== 'day' && error.scope !== 'quota') {
+                    // A short wait: try the same company again afterwards
+                    if (current) {
+                        current.querySelector('.watchlist-figures').textContent = t('watchlist.rateLimitWait', { seconds: error.retryAfter });
+                    }
+                    await this.wait(error.retryAfter * 1000);
+                    continue;
+                }
+                if (error.message === 'API_RATE_LIMIT') {
+                    if (current) {
+                        current.querySelector('.watchlist-figures').textContent = t('watchlist.rateLimit');
+                    }
+                    return null;
+                }
+
+                console.warn(`Watchlist tile for ${ticker} failed:`, error.message);
+                return { error: true };
+            }
+        }
+    }
+
+    // prices and income newest first, as the provider returns them; currency from the profile
+    summarize(prices, income, currency = null) {
+        const rows = [...prices].sort((a, b) => a.date.localeCompare(b.date));
+        if (rows.length === 0) {
+            return { error: true };
+        }
+
+        const latest = rows[rows.length - 1];
+        const [year, month, day] = latest.date.split('-');
+        const yearAgoDate = `${Number(year) - 1}-${month}-${day}`;
+        const yearAgo = findPriceOnOrBefore(rows, yearAgoDate) || rows[0];
+        const quarter = [...income].sort((a, b) => b.date.localeCompare(a.date))[0] || null;
+
+        return {
+            sparkline: rows.filter(row => row.date >= yearAgo.date),
+            change: yearAgo.close ? latest.close / yearAgo.close - 1 : null,
+            currency,
+            quarter: quarter && {
+                label: t('periods.label', { period: t(`periods.${quarter.period}`), year: quarter.fiscalYear }),
+                revenue: quarter.revenue / 1e9,
+                netIncome: quarter.netIncome / 1e9
+            }
+        };
+    }
+
+    fillTile(tile, summary) {
+        const figures = tile.querySelector('.watchlist-figures');
+        if (summary.error) {
+            figures.textContent = t('watchlist.noData');
+            return;
+        }
+
+        const change = tile.querySelector('.watchlist-change');
+        if (summary.change !== null) {
+            change.textContent = t('watchlist.change', { change: `${summary.change < 0 ? '-' : '+'}${formatPercentage(Math.abs(summary.change), 1)}` });
+            change.classList.toggle('down', summary.change < 0);
+        }
+
+        figures.textContent = summary.quarter
+            ? t('watchlist.figures', {
+                label: summary.quarter.label,
+                revenue: this.formatMoney(summary.quarter.revenue, summary.currency),
+                netIncome: this.formatMoney(summary.quarter.netIncome, summary.currency)
+            })
+            : '';
+
+        this.drawSparkline(tile, summary);
+    }
+
+    drawSparkline(tile, summary) {
+        const ticker = tile.dataset.ticker;
+        if (this.sparklines[ticker]) {
+            this.sparklines[ticker].destroy();
+        }
+
+        const color = summary.change !== null && summary.change < 0 ? '#CC0000' : '#00CC00';
+        const ctx = tile.querySelector('canvas').getContext('2d');
+        this.sparklines[ticker] = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: summary.sparkline.map(row => row.date),
+                datasets: [{
+                    data: summary.sparkline.map(row => row.close),
+                    borderColor: color,
+                    borderWidth: 1.5,
+                    fill: false,
+                    tension: 0.1,
+                    pointRadius: 0
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                events: [],
+                plugins: {
+                    legend: { display: false },
+                    tooltip: { enabled: false }
+                },
+                scales: {
+                    x: { display: false },
+                    y: { display: false }
+                }
+            }
+        });
+    }
+
+    wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
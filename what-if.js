@@ -0,0 +1,369 @@
+// Finance Teacher - "What if I had invested..." calculator
+// ReturnCalculator does the maths on the price card's rows: one lump sum on the start date,
+// optionally with dividends reinvested, and the same money spread over monthly purchases.
+// WhatIfCalculator is the form under the price chart. Clicking the chart also picks the
+// start date, and the entry point is marked on the chart with an annotation.
+
+const DEFAULT_WHAT_IF_AMOUNT = 1000;
+const DAYS_PER_YEAR = 365.25;
+
+class ReturnCalculator {
+    // prices: [{ date, close }] oldest first; dividends: [{ date, dividend }] in any order
+    constructor(prices, dividends = []) {
+        this.prices = prices;
+        this.dividends = [...dividends].sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    // Money goes in on the first trading day on or after the date
+    priceOnOrAfter(date) {
+        return this.prices.find(day => day.date >= date) || null;
+    }
+
+    lumpSum(amount, startDate, { reinvestDividends = false } = {}) {
+        const entry = this.priceOnOrAfter(startDate);
+        if (!entry) return null;
+
+        const exit = this.prices[this.prices.length - 1];
+        const holding = this.hold([{ date: entry.date, cash: amount }], reinvestDividends);
+        const finalValue = holding.shares * exit.close;
+        const days = (Date.parse(exit.date) - Date.parse(entry.date)) / (24 * 60 * 60 * 1000);
+
+        return {
+            entry,
+            exit,
+            ...holding,
+            finalValue,
+            totalReturn: finalValue / amount - 1,
+            // Under a year, annualizing a lucky month would promise far more than it earned
+            annualizedReturn: days >= 365 ? Math.pow(finalValue / amount, DAYS_PER_YEAR / days) - 1 : null
+        };
+    }
+
+    // The same total split into equal purchases on the same day each month
+    dollarCostAverage(amount, startDate, { reinvestDividends = false } = {}) {
+        const exit = this.prices[this.prices.length - 1];
+        const dates = [];
+        for (let month = 0; ; month++) {
+            const date = month === 0 ? startDate : this.addMonths(startDate, month);
+            if (date > exit.date) break;
+            dates.push(date);
+        }
+
+        const purchases = dates
+            .map(date => this.priceOnOrAfter(date))
+            .filter(Boolean)
+            .map(day => ({ date: day.date, cash: amount / dates.length }));
+        if (purchases.length === 0) return null;
+
+        const holding = this.hold(purchases, reinvestDividends);
+        const finalValue = holding.shares * exit.close;
+
+        return {
+            ...holding,
+            purchases: purchases.length,
+            installment: amount / dates.length,
+            finalValue,
+            totalReturn: finalValue / amount - 1
+        };
+    }
+
+    // Replays purchases and dividends in date order and returns what is held at the end
+    hold(purchases, reinvestDividends) {
+        const exitDate = this.prices[this.prices.length - 1].date;
+        let shares = 0;
+        let dividendCash = 0;
+        let dividendShares = 0;
+        let next = 0;
+
+        const buyUntil = (date, inclusive) => {
+            while (next < purchases.length && (inclusive ? purchases[next].date <= date : purchases[next].date < date)) {
+                const day = this.priceOnOrAfter(purchases[next].date);
+                shares += purchases[next].cash / day.close;
+                next++;
+            }
+        };
+
+        if (reinvestDividends) {
+            this.dividends.filter(payment => payment.date <= exitDate).forEach(payment => {
+                // Shares bought on the ex-dividend date itself don't get that payment
+                buyUntil(payment.date, false);
+                if (shares === 0) return;
+
+                const cash = shares * payment.dividend;
+                const day = findPriceOnOrBefore(this.prices, payment.date);
+                if (!day) return;
+
+                dividendCash += cash;
+                dividendShares += cash / day.close;
+                shares += cash / day.close;
+            });
+        }
+        buyUntil(exitDate, true);
+
+        return { shares, dividendCash, dividendShares };
+    }
+
+    addMonths(date, months) {
+        const [year, month, day] = date.split('-').map(Number);
+        // Day 28 at most, so a 31st start never skips a short month
+        return new Date(Date.UTC(year, month - 1 + months, Math.min(day, 28))).toISOString().slice(0, 10);
+    }
+}
+
+class WhatIfCalculator {
+    constructor({ card, loadDividends }) {
+        this.card = card;
+        // ticker => dividend payments, only fetched when a student ticks the box
+        this.loadDividends = loadDividends;
+
+        this.ticker = '';
+        // The company's reporting currency, which its prices are in
+        this.currency = null;
+        this.rows = [];
+        this.chart = null;
+        this.dividends = {};
+        this.element = this.createElement();
+
+        this.bindEvents();
+    }
+
+    createElement() {
+        const element = document.createElement('div');
+        element.className = 'what-if hidden';
+        element.id = 'whatIfCalculator';
+        element.innerHTML = `
+            <h3>${t('whatIf.heading')}</h3>
+            <p class="educational-label">${t('whatIf.intro')}</p>
+            <form class="what-if-form" id="whatIfForm">
+                <label><span id="whatIfAmountLabel">${t('whatIf.amount')}</span> <input type="number" id="whatIfAmount" min="1" step="any" value="${DEFAULT_WHAT_IF_AMOUNT}"></label>
+                <label>${t('whatIf.startDate')} <input type="date" id="whatIfDate"></label>
+                <label><input type="checkbox" id="whatIfDividends"> ${t('whatIf.reinvest')}</label>
+                <label><input type="checkbox" id="whatIfMonthly"> ${t('whatIf.monthly')}</label>
+                <button type="submit">${t('whatIf.calculate')}</button>
+            </form>
+            <p class="error-message hidden" id="whatIfError"></p>
+            <div class="what-if-results hidden" id="whatIfResults" aria-live="polite"></div>
+        `;
+
+        // Sits under the price chart's story, above the "data as of" line
+        this.card.insertBefore(element, this.card.querySelector('.data-as-of'));
+        return element;
+    }
+
+    bindEvents() {
+        this.element.querySelector('#whatIfForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.calculate();
+        });
+    }
+
+    // rows: the price card's { date, close } rows, oldest first; chart: its Chart.js chart;
+    // currency: what the prices are quoted in
+    setCompany(ticker, rows, chart, currency = null) {
+        const sameCompany = ticker === this.ticker;
+        this.ticker = ticker;
+        this.currency = currency;
+        this.rows = rows;
+        this.chart = chart;
+        this.element.classList.toggle('hidden', rows.length < 2);
+        if (rows.length < 2) return;
+
+        this.element.querySelector('#whatIfAmountLabel').textContent = currency
+            ? t('whatIf.amountIn', { currency })
+            : t('whatIf.amount');
+
+        chart.options.onClick = (event) => this.pickFromChart(event);
+
+        const dateInput = this.element.querySelector('#whatIfDate');
+        dateInput.min = rows[0].date;
+        dateInput.max = rows[rows.length - 1].date;
+
+        // A new range redraws the chart; keep the student's answer if it still fits
+        const hasResult = !this.element.querySelector('#whatIfResults').classList.contains('hidden');
+        if (sameCompany && hasResult && dateInput.value >= dateInput.min) {
+            this.calculate();
+            return;
+        }
+
+        dateInput.value = this.defaultStartDate();
+        this.showError('');
+        this.element.querySelector('#whatIfResults').classList.add('hidden');
+    }
+
+    hide() {
+        this.element.classList.add('hidden');
+    }
+
+    // One year before the latest close, or the start of the chart if it is shorter
+    defaultStartDate() {
+        const latest = this.rows[this.rows.length - 1].date;
+        const [year, month, day] = latest.split('-');
+        const yearAgo = `${Number(year) - 1}-${month}-${day}`;
+        return yearAgo >= this.rows[0].date ? yearAgo : this.rows[0].date;
+    }
+
+    pickFromChart(event) {
+        const [point] = this.chart.getElementsAtEventForMode(event, 'nearest', { axis: 'x', intersect: false }, false);
+        if (!point || !this.rows[point.index]) return;
+
+        this.element.querySelector('#whatIfDate').value = this.rows[point.index].date;
+        this.calculate();
+    }
+
+    async calculate() {
+        const amount = Number(this.element.querySelector('#whatIfAmount').value);
+        const startDate = this.element.querySelector('#whatIfDate').value;
+        const reinvestDividends = this.element.querySelector('#whatIfDividends').checked;
+        const compareMonthly = this.element.querySelector('#whatIfMonthly').checked;
+        const first = this.rows[0];
+        const latest = this.rows[this.rows.length - 1];
+
+        if (!(amount > 0)) {
+            this.showError(t('whatIf.amountError', { zero: this.formatMoney(0) }));
+            return;
+        }
+        if (!startDate || startDate < first.date || startDate >= latest.date) {
+            this.showError(t('whatIf.dateError', { first: formatDate(first.date), last: formatDate(latest.date) }));
+            return;
+        }
+        this.showError('');
+
+        const ticker = this.ticker;
+        let dividends = [];
+        let dividendsMissing = false;
+        if (reinvestDividends) {
+            try {
+                dividends = await this.getDividends(ticker);
+            } catch (error) {
+                console.warn(`No dividend data for ${ticker}:`, error.message);
+                dividendsMissing = true;
+            }
+            // Another company was searched while the dividends loaded
+            if (ticker !== this.ticker) return;
+        }
+
+        const calculator = new ReturnCalculator(this.rows, dividends);
+        const options = { reinvestDividends: reinvestDividends && !dividendsMissing };
+        const result = calculator.lumpSum(amount, startDate, options);
+        const monthly = compareMonthly ? calculator.dollarCostAverage(amount, startDate, options) : null;
+        if (!result) return;
+
+        this.renderResult(amount, result, monthly, { reinvestDividends, dividendsMissing });
+        this.markEntry(amount, result.entry);
+    }
+
+    async getDividends(ticker) {
+        if (!this.dividends[ticker]) {
+            this.dividends[ticker] = await this.loadDividends(ticker);
+        }
+        return this.dividends[ticker];
+    }
+
+    renderResult(amount, result, monthly, { reinvestDividends, dividendsMissing }) {
+        const results = this.element.querySelector('#whatIfResults');
+        results.innerHTML = '';
+        results.classList.remove('hidden');
+
+        const summary = document.createElement('p');
+        summary.className = 'what-if-summary';
+        summary.textContent = t('whatIf.summary', {
+            amount: this.formatMoney(amount),
+            ticker: this.ticker,
+            entryDate: formatDate(result.entry.date),
+            price: this.formatMoney(result.entry.close),
+            value: this.formatMoney(result.finalValue),
+            exitDate: formatDate(result.exit.date)
+        });
+        results.appendChild(summary);
+
+        const stats = document.createElement('div');
+        stats.className = 'summary-stats';
+        [
+            [t('whatIf.finalValue'), this.formatMoney(result.finalValue)],
+            [t('whatIf.totalReturn'), this.formatSignedPercent(result.totalReturn)],
+            [t('whatIf.annualized'), result.annualizedReturn === null ? t('whatIf.underAYear') : this.formatSignedPercent(result.annualizedReturn)]
+        ].forEach(([label, value]) => {
+            const item = document.createElement('div');
+            item.className = 'summary-stat';
+
+            const labelElement = document.createElement('span');
+            labelElement.textContent = label;
+            const valueElement = document.createElement('strong');
+            valueElement.textContent = value;
+
+            item.append(labelElement, valueElement);
+            stats.appendChild(item);
+        });
+        results.appendChild(stats);
+
+        const notes = [];
+        if (result.annualizedReturn !== null) {
+            notes.push(t('whatIf.annualizedNote', { amount: this.formatMoney(amount), value: this.formatMoney(result.finalValue) }));
+        }
+        if (dividendsMissing) {
+            notes.push(t('whatIf.dividendsMissing'));
+        } else if (reinvestDividends && result.dividendCash > 0) {
+            notes.push(t('whatIf.dividendsReinvested', {
+                ticker: this.ticker,
+                cash: this.formatMoney(result.dividendCash),
+                shares: formatDecimal(result.dividendShares, 2)
+            }));
+        } else if (reinvestDividends) {
+            notes.push(t('whatIf.noDividends', { ticker: this.ticker }));
+        }
+        if (monthly) {
+            const lumpSumWon = result.finalValue >= monthly.finalValue;
+            notes.push(t('whatIf.monthlyResult', {
+                installment: this.formatMoney(monthly.installment),
+                purchases: monthly.purchases,
+                value: this.formatMoney(monthly.finalValue),
+                return: this.formatSignedPercent(monthly.totalReturn),
+                verdict: t(lumpSumWon ? 'whatIf.lumpSumWon' : 'whatIf.monthlyWon')
+            }));
+        }
+
+        notes.forEach(text => {
+            const note = document.createElement('p');
+            note.textContent = text;
+            results.appendChild(note);
+        });
+    }
+
+    markEntry(amount, entry) {
+        const annotations = this.chart.options.plugins.annotation.annotations;
+        annotations.whatIfEntry = {
+            type: 'point',
+            xValue: entry.date,
+            yValue: entry.close,
+            radius: 6,
+            backgroundColor: '#00CC00',
+            borderColor: '#FFFFFF',
+            borderWidth: 2
+        };
+        annotations.whatIfLabel = {
+            type: 'label',
+            xValue: entry.date,
+            yValue: entry.close,
+            yAdjust: -24,
+            content: t('whatIf.entryLabel', { amount: this.formatMoney(amount) }),
+            backgroundColor: '#2A2A2A',
+            color: '#FFF2CC',
+            font: { size: 11, weight: 'bold' }
+        };
+        this.chart.update('none');
+    }
+
+    showError(message) {
+        const error = this.element.querySelector('#whatIfError');
+        error.textContent = message;
+        error.classList.toggle('hidden', !message);
+    }
+
+    formatMoney(value) {
+        return formatCurrency(value, this.currency);
+    }
+
+    formatSignedPercent(fraction) {
+        return (fraction < 0 ? '-' : '+') + formatPercentage(Math.abs(fraction), 1);
+    }
+}